@@ -9,6 +9,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const $ = (sel, ctx = document) => ctx.querySelector(sel);
     const $$ = (sel, ctx = document) => [...ctx.querySelectorAll(sel)];
 
+    function isVideoFile(file) {
+        return !!file && GifSpoofer.isVideo(file);
+    }
+
     function isImageFile(file) {
         if (!file) return false;
         if (file.type && file.type.startsWith('image/')) return true;
@@ -16,6 +20,14 @@ document.addEventListener('DOMContentLoaded', () => {
         return !!name.match(/\.(jpg|jpeg|png|gif|webp|heic|heif|bmp|svg)$/);
     }
 
+    function isJpegFile(file) {
+        return file.type === 'image/jpeg' || /\.jpe?g$/i.test(file.name || '');
+    }
+
+    function isGifFile(file) {
+        return file.type === 'image/gif' || /\.gif$/i.test(file.name || '');
+    }
+
     function toast(msg) {
         const c = $('#toast-container');
         const el = document.createElement('div');
@@ -42,7 +54,13 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /* ═══════════ Generic drop-zone wiring ═══════════ */
-    function wireDropZone(zoneEl, inputEl, onFile) {
+    // With `multiple`, onFile is called once per dropped/picked file, in order
+    function wireDropZone(zoneEl, inputEl, onFile, { multiple = false } = {}) {
+        const take = files => {
+            const list = multiple ? [...files] : [files[0]];
+            list.forEach(file => { if (file) onFile(file); });
+        };
+
         zoneEl.addEventListener('dragover', e => {
             e.preventDefault();
             zoneEl.classList.add('drop-zone--dragover');
@@ -55,13 +73,11 @@ document.addEventListener('DOMContentLoaded', () => {
         zoneEl.addEventListener('drop', e => {
             e.preventDefault();
             zoneEl.classList.remove('drop-zone--dragover');
-            const file = e.dataTransfer.files[0];
-            if (file) onFile(file);
+            take(e.dataTransfer.files);
         });
 
         inputEl.addEventListener('change', () => {
-            const file = inputEl.files[0];
-            if (file) onFile(file);
+            take(inputEl.files);
         });
 
         inputEl.addEventListener('click', (e) => {
@@ -69,6 +85,25 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /* ═══════════ Sub-tabs ═══════════ */
+    // Each tab's data-subtab names a view with id `${prefix}-${subtab}`
+    function wireSubTabs(panel, prefix) {
+        const tabs = $$('.sub-tab', panel);
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                tabs.forEach(t => {
+                    t.classList.toggle('sub-tab--active', t === tab);
+                    $(`#${prefix}-${t.dataset.subtab}`).style.display = t === tab ? '' : 'none';
+                });
+            });
+        });
+    }
+
+    function activeSubTab(panel) {
+        const tab = $('.sub-tab--active', panel);
+        return tab ? tab.dataset.subtab : null;
+    }
+
     /* ═══════════ Sidebar ↔ Panel Navigation ═══════════ */
     const welcome = $('#welcome');
     const panels = $$('.module-panel');
@@ -152,6 +187,100 @@ document.addEventListener('DOMContentLoaded', () => {
     const gifPreview = $('#gif-preview');
     const gifDownload = $('#gif-download');
     const gifOpen = $('#gif-open');
+    const gifResultMeta = $('#gif-result-meta');
+    const gifDither = $('#gif-dither');
+    const gifDitherStrength = $('#gif-dither-strength');
+    const gifTransparent = $('#gif-transparent');
+    const gifAlphaThreshold = $('#gif-alpha-threshold');
+    const gifMaxKb = $('#gif-max-kb');
+    const gifFitInfo = $('#gif-fit-info');
+    const gifPalette = $('#gif-palette');
+    const gifColors = $('#gif-colors');
+    let lastGifFile = null;
+    let lastGifBlob = null;
+    let lastGifPalette = null; // colours of the last GIF's first frame, for export
+    let customPalette = null;  // from an uploaded .gpl / .act
+
+    // Progress bar + cancel for the running conversion (one at a time)
+    const gifProgress = $('#gif-progress');
+    const gifProgressFill = $('#gif-progress-fill');
+    const gifProgressLabel = $('#gif-progress-label');
+    const GIF_PHASES = { quantize: 'Building palette', map: 'Mapping colours', compress: 'Compressing', done: 'Finishing' };
+    let gifJob = null;
+
+    function setGifProgress({ phase, frame, frames, progress, attempt }) {
+        const pct = Math.round(progress * 100);
+        gifProgressFill.style.width = `${pct}%`;
+        gifProgressLabel.textContent = [
+            GIF_PHASES[phase],
+            frames > 1 ? `frame ${frame + 1}/${frames}` : '',
+            attempt > 1 ? `try ${attempt}` : '',
+            `${pct}%`,
+        ].filter(Boolean).join(' · ');
+    }
+
+    // Settings picked by "Fit under N KB", shown next to the download button
+    function showGifFit(fit) {
+        gifFitInfo.textContent = `${fit.fitted ? '✓' : '⚠'} ${fit.width}×${fit.height} · ${fit.colors} colours · ${formatBytes(fit.bytes)}`;
+        gifFitInfo.classList.toggle('gif-result__fit--over', !fit.fitted);
+        gifFitInfo.style.display = '';
+        if (!fit.fitted) toast(`Couldn't get under ${gifMaxKb.value} KB — kept the smallest attempt.`);
+    }
+
+    // Runs `task(signal, onProgress)`, cancelling whatever conversion was in flight
+    async function runGifJob(task) {
+        if (gifJob) gifJob.abort();
+        const job = new AbortController();
+        gifJob = job;
+
+        gifProgressFill.style.width = '0%';
+        gifProgressLabel.textContent = 'Loading…';
+        gifProgress.style.display = '';
+
+        try {
+            return await task(job.signal, setGifProgress);
+        } finally {
+            if (gifJob === job) {
+                gifJob = null;
+                gifProgress.style.display = 'none';
+            }
+        }
+    }
+
+    $('#gif-cancel').addEventListener('click', () => {
+        if (gifJob) gifJob.abort();
+    });
+
+    function formatBytes(n) {
+        return n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} KB`;
+    }
+
+    function gifColorCount() {
+        return Math.max(2, Math.min(256, Math.round(Number(gifColors.value)) || 256));
+    }
+
+    // null for the adaptive (median cut) palette
+    function selectedGifPalette() {
+        if (gifPalette.value === 'adaptive') return null;
+        if (gifPalette.value === 'custom') return customPalette;
+        return GifPalette.preset(gifPalette.value, gifColorCount());
+    }
+
+    function gifEncodeOptions() {
+        return {
+            dither: gifDither.value,
+            ditherStrength: Number(gifDitherStrength.value) / 100,
+            transparent: gifTransparent.checked,
+            alphaThreshold: Number(gifAlphaThreshold.value) || 128,
+            maxBytes: Number(gifMaxKb.value) * 1024 || 0,
+            colors: gifColorCount(),
+            palette: selectedGifPalette(),
+        };
+    }
+
+    function keepGifPalette(palette) {
+        lastGifPalette = palette;
+    }
 
     async function handleGifFile(file) {
         if (!isImageFile(file)) {
@@ -159,23 +288,390 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        toast('Converting to GIF…');
+        lastGifFile = file;
+        gifFitInfo.style.display = 'none';
         try {
-            const gifBlob = await GifSpoofer.convert(file);
-            const url = URL.createObjectURL(gifBlob);
-
-            gifPreview.src = url;
-            gifDownload.href = url;
-            gifOpen.href = url;
-            gifResult.style.display = '';
+            const gifBlob = await runGifJob((signal, onProgress) =>
+                GifSpoofer.convert(file, {
+                    ...gifEncodeOptions(), signal, onProgress, onFit: showGifFit, onPalette: keepGifPalette,
+                }));
+            showGifResult(gifBlob);
             toast('GIF ready! 🎉');
         } catch (err) {
+            if (err.name === 'AbortError') { toast('Conversion cancelled.'); return; }
             console.error(err);
             toast('Conversion failed: ' + err.message);
         }
     }
 
+    function showGifResult(gifBlob) {
+        lastGifBlob = gifBlob;
+        const url = URL.createObjectURL(gifBlob);
+        gifPreview.src = url;
+        gifDownload.href = url;
+        gifOpen.href = url;
+
+        const dither = gifDither.selectedOptions[0].textContent;
+        const meta = [
+            gifDither.value === 'none' ? 'No dithering' : `${dither} at ${gifDitherStrength.value}%`,
+            lastGifPalette ? `${lastGifPalette.length} colours` : '',
+            gifTransparent.checked ? 'transparent' : 'opaque',
+            formatBytes(gifBlob.size),
+        ];
+        gifResultMeta.textContent = meta.filter(Boolean).join(' · ');
+        gifPreview.parentElement.classList.toggle('gif-result__preview--checker', gifTransparent.checked);
+        gifResult.style.display = '';
+    }
+
+    // Re-encode the last static image when quality options change so they can be compared
+    function onGifOptionsChange() {
+        $('#gif-dither-strength-value').textContent = `${gifDitherStrength.value}%`;
+        if (lastGifFile && activeSubTab($('#panel-gif')) === 'static') {
+            handleGifFile(lastGifFile);
+        }
+    }
+
+    gifDither.addEventListener('change', onGifOptionsChange);
+    gifDitherStrength.addEventListener('input', () => {
+        $('#gif-dither-strength-value').textContent = `${gifDitherStrength.value}%`;
+    });
+    gifDitherStrength.addEventListener('change', onGifOptionsChange);
+    gifTransparent.addEventListener('change', () => {
+        gifAlphaThreshold.disabled = !gifTransparent.checked;
+        onGifOptionsChange();
+    });
+    gifAlphaThreshold.addEventListener('change', onGifOptionsChange);
+    gifMaxKb.addEventListener('change', onGifOptionsChange);
+    gifColors.addEventListener('change', onGifOptionsChange);
+
+    // Fixed palettes set their own size, except grayscale which follows "Colours"
+    gifPalette.addEventListener('change', () => {
+        gifColors.disabled = !['adaptive', 'grayscale'].includes(gifPalette.value);
+        // Custom always offers a new upload; a previously loaded one stays in use if it's cancelled
+        if (gifPalette.value === 'custom') $('#gif-palette-file').click();
+        if (gifPalette.value !== 'custom' || customPalette) onGifOptionsChange();
+    });
+
+    $('#gif-palette-file').addEventListener('click', e => { e.target.value = ''; });
+    $('#gif-palette-file').addEventListener('change', async e => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            customPalette = await GifPalette.parse(file);
+            gifPalette.querySelector('option[value="custom"]').textContent = `${file.name} (${customPalette.length})`;
+            toast(`Loaded ${customPalette.length} colours.`);
+            onGifOptionsChange();
+        } catch (err) {
+            toast('Palette not loaded: ' + err.message);
+            if (!customPalette) {
+                gifPalette.value = 'adaptive';
+                gifColors.disabled = false;
+            }
+        }
+    });
+
+    $('#gif-palette-export').addEventListener('click', () => {
+        if (!lastGifPalette) return;
+        const format = $('#gif-palette-format').value;
+        const url = URL.createObjectURL(GifPalette.serialize(lastGifPalette, format, 'spoofed'));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `palette.${GifPalette.FORMATS[format].ext}`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 5000);
+    });
+
     wireDropZone($('#gif-drop'), $('#gif-file-input'), handleGifFile);
+    wireSubTabs($('#panel-gif'), 'gif');
+
+    // Animated: frame queue
+    const gifFrames = $('#gif-frames');
+    let animFrames = []; // { file, delay, thumb }
+
+    function renderGifFrames() {
+        gifFrames.style.display = animFrames.length ? '' : 'none';
+        gifFrames.innerHTML = '';
+        animFrames.forEach((frame, i) => {
+            const li = document.createElement('li');
+            li.className = 'gif-frame';
+
+            const thumb = document.createElement(frame.thumb ? 'img' : 'span');
+            thumb.className = 'gif-frame__thumb';
+            if (frame.thumb) thumb.src = frame.thumb;
+            else thumb.textContent = '🎬';
+
+            const name = document.createElement('span');
+            name.className = 'gif-frame__name';
+            name.textContent = frame.file.name || `frame ${i + 1}`;
+
+            li.append(thumb, name);
+
+            if (frame.thumb) {
+                const delay = document.createElement('input');
+                delay.type = 'number';
+                delay.className = 'gif-option__input gif-frame__delay';
+                delay.min = 10;
+                delay.step = 10;
+                delay.value = frame.delay;
+                delay.title = 'Frame delay (ms)';
+                delay.addEventListener('input', () => { frame.delay = Number(delay.value) || 0; });
+                li.append(delay);
+            } else {
+                const note = document.createElement('span');
+                note.className = 'gif-frame__note';
+                note.textContent = `sampled at ${$('#gif-fps').value} fps`;
+                li.append(note);
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'gif-frame__remove';
+            remove.setAttribute('aria-label', 'Remove frame');
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                if (frame.thumb) URL.revokeObjectURL(frame.thumb);
+                animFrames.splice(animFrames.indexOf(frame), 1);
+                renderGifFrames();
+            });
+            li.append(remove);
+
+            gifFrames.appendChild(li);
+        });
+    }
+
+    function addGifFrame(file) {
+        if (!isImageFile(file) && !isVideoFile(file)) {
+            toast('Please drop images or a video file.');
+            return;
+        }
+        animFrames.push({
+            file,
+            delay: Number($('#gif-delay').value) || 100,
+            thumb: isVideoFile(file) ? null : URL.createObjectURL(file),
+        });
+        renderGifFrames();
+    }
+
+    wireDropZone($('#gif-anim-drop'), $('#gif-anim-file'), addGifFrame, { multiple: true });
+
+    $('#gif-anim-clear').addEventListener('click', () => {
+        animFrames.forEach(f => f.thumb && URL.revokeObjectURL(f.thumb));
+        animFrames = [];
+        renderGifFrames();
+    });
+
+    $('#gif-anim-build').addEventListener('click', async () => {
+        if (!animFrames.length) { toast('Add some frames first.'); return; }
+
+        gifFitInfo.style.display = 'none';
+        try {
+            const gifBlob = await runGifJob((signal, onProgress) =>
+                GifSpoofer.convertAnimated(animFrames, {
+                    delay: Number($('#gif-delay').value) || 100,
+                    fps: Number($('#gif-fps').value) || 10,
+                    maxSize: Number($('#gif-max-size').value) || 480,
+                    disposal: $('#gif-disposal').value,
+                    loop: $('#gif-loop').checked ? 0 : null,
+                    ...gifEncodeOptions(),
+                    signal,
+                    onProgress,
+                    onFit: showGifFit,
+                    onPalette: keepGifPalette,
+                }));
+            showGifResult(gifBlob);
+            toast('Animated GIF ready! 🎉');
+        } catch (err) {
+            if (err.name === 'AbortError') { toast('Conversion cancelled.'); return; }
+            console.error(err);
+            toast('Conversion failed: ' + err.message);
+        }
+    });
+
+    // Batch: each image becomes its own GIF; finished ones are bundled into a ZIP
+    const gifBatchList = $('#gif-batch-list');
+    const gifBatchSummary = $('#gif-batch-summary');
+    const gifBatchZip = $('#gif-batch-zip');
+    let batchItems = []; // { file, status: queued|working|done|failed, blob, error, li, statusEl }
+    let batchRunning = false;
+    let batchJob = null; // the batch's own AbortController: other conversions never cancel it
+    const gifBatchCancel = $('#gif-batch-cancel');
+
+    function renderBatchItem(item) {
+        item.li.className = `gif-frame gif-batch__item gif-batch__item--${item.status}`;
+        item.statusEl.textContent =
+            item.status === 'done' ? `✓ ${formatBytes(item.blob.size)}` :
+            item.status === 'failed' ? `✕ ${item.error}` :
+            item.status === 'working' ? `Converting… ${item.progress || 0}%` : 'Queued';
+    }
+
+    function updateBatchSummary() {
+        const done = batchItems.filter(i => i.status === 'done').length;
+        const failed = batchItems.filter(i => i.status === 'failed');
+
+        gifBatchList.style.display = batchItems.length ? '' : 'none';
+        gifBatchZip.disabled = batchRunning || !done;
+        gifBatchCancel.style.display = batchRunning ? '' : 'none';
+        gifBatchSummary.style.display = batchItems.length ? '' : 'none';
+        gifBatchSummary.textContent = [
+            `${done} of ${batchItems.length} converted`,
+            failed.length ? `${failed.length} failed: ${failed.map(i => i.file.name || 'pasted image').join(', ')}` : '',
+        ].filter(Boolean).join(' · ');
+    }
+
+    function addBatchFile(file) {
+        const item = { file, status: 'queued', blob: null, error: null };
+
+        const li = document.createElement('li');
+        const thumb = document.createElement(isImageFile(file) ? 'img' : 'span');
+        thumb.className = 'gif-frame__thumb';
+        if (isImageFile(file)) thumb.src = URL.createObjectURL(file);
+        else thumb.textContent = '📄';
+
+        const name = document.createElement('span');
+        name.className = 'gif-frame__name';
+        name.textContent = file.name || 'pasted image';
+
+        const status = document.createElement('span');
+        status.className = 'gif-batch__status';
+
+        const remove = document.createElement('button');
+        remove.className = 'gif-frame__remove';
+        remove.setAttribute('aria-label', 'Remove file');
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => {
+            if (item.status === 'working') return;
+            if (thumb.src) URL.revokeObjectURL(thumb.src);
+            batchItems.splice(batchItems.indexOf(item), 1);
+            li.remove();
+            updateBatchSummary();
+        });
+
+        li.append(thumb, name, status, remove);
+        Object.assign(item, { li, statusEl: status });
+        gifBatchList.appendChild(li);
+
+        // Unsupported files are listed as failures rather than stopping the batch
+        if (!isImageFile(file)) {
+            item.status = 'failed';
+            item.error = 'Not an image file';
+        }
+        batchItems.push(item);
+        renderBatchItem(item);
+        updateBatchSummary();
+        runBatch();
+    }
+
+    // Works through queued items one at a time; new drops join the running batch.
+    // Progress shows on each item, so conversions in the other tabs keep the shared bar
+    async function runBatch() {
+        if (batchRunning) return;
+        batchRunning = true;
+        batchJob = new AbortController();
+        const { signal } = batchJob;
+        updateBatchSummary();
+
+        let item;
+        while (!signal.aborted && (item = batchItems.find(i => i.status === 'queued'))) {
+            item.status = 'working';
+            item.progress = 0;
+            renderBatchItem(item);
+            try {
+                const current = item;
+                item.blob = await GifSpoofer.convert(item.file, {
+                    ...gifEncodeOptions(),
+                    signal,
+                    onProgress: ({ progress }) => {
+                        current.progress = Math.round(progress * 100);
+                        renderBatchItem(current);
+                    },
+                });
+                item.status = 'done';
+            } catch (err) {
+                item.status = 'failed';
+                item.error = err.name === 'AbortError' ? 'Cancelled' : err.message;
+                if (err.name !== 'AbortError') console.error(err);
+            }
+            renderBatchItem(item);
+            updateBatchSummary();
+
+            // Cancel stops the whole batch, not just the current file (a cleared item is already gone)
+            if (item.error === 'Cancelled' && batchItems.includes(item)) {
+                batchItems.filter(i => i.status === 'queued').forEach(i => {
+                    i.status = 'failed';
+                    i.error = 'Cancelled';
+                    renderBatchItem(i);
+                });
+                break;
+            }
+        }
+
+        batchRunning = false;
+        batchJob = null;
+        updateBatchSummary();
+        // Files dropped after "Clear list" cancelled the last batch start a new one
+        if (batchItems.some(i => i.status === 'queued')) { runBatch(); return; }
+        const done = batchItems.filter(i => i.status === 'done').length;
+        if (done) toast(`${done} GIF${done === 1 ? '' : 's'} ready to download as .zip 🎉`);
+    }
+
+    wireDropZone($('#gif-batch-drop'), $('#gif-batch-file'), addBatchFile, { multiple: true });
+
+    gifBatchZip.addEventListener('click', async () => {
+        const taken = new Set();
+        const entries = batchItems.filter(i => i.status === 'done').map(i => ({
+            name: ZipWriter.uniqueName(`${(i.file.name || 'image').replace(/\.[^.]+$/, '')}.gif`, taken),
+            data: i.blob,
+            date: i.file.lastModified ? new Date(i.file.lastModified) : new Date(),
+        }));
+        if (!entries.length) return;
+
+        try {
+            const zip = await ZipWriter.create(entries);
+            const url = URL.createObjectURL(zip);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'spoofed-gifs.zip';
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 5000);
+        } catch (err) {
+            console.error(err);
+            toast('Could not build the .zip: ' + err.message);
+        }
+    });
+
+    gifBatchCancel.addEventListener('click', () => {
+        if (batchJob) batchJob.abort();
+    });
+
+    $('#gif-batch-clear').addEventListener('click', () => {
+        if (batchJob) batchJob.abort();
+        batchItems.forEach(i => {
+            const thumb = $('img', i.li);
+            if (thumb) URL.revokeObjectURL(thumb.src);
+        });
+        batchItems = [];
+        gifBatchList.innerHTML = '';
+        updateBatchSummary();
+    });
+
+    /* ═══════════ GIF Inspector ═══════════ */
+    const gifInfoOutput = $('#gifinfo-output');
+
+    async function handleGifInfoFile(file) {
+        try {
+            await GifInspector.inspect(file, gifInfoOutput);
+        } catch (err) {
+            console.error(err);
+            toast('Could not read GIF: ' + err.message);
+        }
+    }
+
+    wireDropZone($('#gifinfo-drop'), $('#gifinfo-file-input'), handleGifInfoFile);
+
+    $('#gif-inspect').addEventListener('click', () => {
+        if (!lastGifBlob) return;
+        openPanel('gifinfo');
+        handleGifInfoFile(new File([lastGifBlob], gifDownload.download, { type: 'image/gif' }));
+    });
 
     /* ═══════════ Secret Encoder ═══════════ */
     const stegCanvas = $('#steg-encode-canvas');
@@ -183,15 +679,194 @@ document.addEventListener('DOMContentLoaded', () => {
     const stegMessage = $('#steg-message');
     const stegCharCount = $('#steg-char-count');
     const stegCapacity = $('#steg-capacity');
+    const stegPassphrase = $('#steg-passphrase');
+    const stegKey = $('#steg-key');
+    const stegFileInfo = $('#steg-file-info');
+    const stegBits = $('#steg-bits');
+    const stegRedundancy = $('#steg-redundancy');
+    const stegDistortion = $('#steg-distortion');
+    const stegFormat = $('#steg-format');
+    const stegQuality = $('#steg-quality');
+    const stegReport = $('#steg-report');
+    const stegCoverText = $('#steg-cover-text');
+    const stegTextAlphabet = $('#steg-text-alphabet');
+    const stegTextPlatform = $('#steg-text-platform');
+    const stegTextResult = $('#steg-text-result');
+    let stegKind = 'text';
+    let stegFile = null;
+    let stegCoverJpeg = null; // an uploaded baseline JPEG, decoded: JPEG mode hides in its own coefficients
+    let stegCompressed = null; // { quality, jpeg }: the canvas compressed for JPEG mode, kept as that takes seconds on big images
+    let stegRoom = 0; // capacity, worked out when the image or options change (JPEG mode compresses the image)
+
+    const percent = v => `${(v * 100).toFixed(1)}%`;
+
+    // What's known to happen to invisible characters where the encoded text is going
+    const STEG_TEXT_PLATFORMS = {
+        chat: '',
+        docs: 'Word processors keep them, but exporting to PDF or plain text may drop them.',
+        social: '⚠ Some social networks strip zero-width characters from posts, and they count towards length limits.',
+        sms: '⚠ SMS often drops or replaces characters outside its basic alphabet — expect the message to be lost.',
+        code: '⚠ Editors, linters and code review tools flag hidden Unicode, and some formatters remove it.',
+        names: '⚠ Usernames, URLs and file names usually strip or reject invisible characters.',
+    };
+
+    // Show ImageData-shaped pixels on a canvas at their own size
+    function drawPixels(canvas, image) {
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    }
+
+    // The string or File that will be hidden, or null if nothing is chosen yet
+    function stegSecret() {
+        if (stegKind === 'file') return stegFile;
+        return stegMessage.value || null;
+    }
+
+    // Output format, bits per channel, channels carrying data, scatter key and error correction, as SecretEncoder options
+    function stegEmbedOptions() {
+        const channels = $$('#steg-channels input:checked').map(input => input.value).join('');
+        const [format, gifMode = 'parity'] = stegFormat.value.split('-');
+        return {
+            format,
+            gifMode,
+            alphabet: stegTextAlphabet.value,
+            quality: Math.min(100, Math.max(1, Math.round(+stegQuality.value || 90))),
+            bits: +stegBits.value,
+            channels,
+            key: stegKey.value,
+            redundancy: stegRedundancy.value,
+        };
+    }
+
+    // What the secret goes into: the cover text, the canvas, or in JPEG mode the uploaded JPEG —
+    // else the canvas compressed once per quality
+    function stegSource(options) {
+        if (options.format === 'text') return stegCoverText.value;
+        if (options.format !== 'jpeg') return stegCanvas;
+        if (stegCoverJpeg) return stegCoverJpeg;
+        if (!stegCompressed || stegCompressed.quality !== options.quality) {
+            const image = stegCanvas.getContext('2d').getImageData(0, 0, stegCanvas.width, stegCanvas.height);
+            stegCompressed = { quality: options.quality, jpeg: JpegCodec.fromImage(image, options.quality) };
+        }
+        return stegCompressed.jpeg;
+    }
+
+    // Sizing compresses the secret, so the last answer is kept for option changes that don't touch it
+    let stegSized = { secret: null, encrypted: false, size: Promise.resolve(0) };
+    let stegCountRun = 0;
+
+    function stegPayloadSize(secret) {
+        const encrypted = !!stegPassphrase.value;
+        if (stegSized.secret !== secret || stegSized.encrypted !== encrypted) {
+            stegSized = { secret, encrypted, size: SecretEncoder.payloadSize(secret, { passphrase: stegPassphrase.value }) };
+        }
+        return stegSized.size;
+    }
+
+    // Counts what will actually be embedded: compressed, with file metadata and encryption overhead.
+    // Called straight from input listeners, so it never rejects
+    async function updateStegCount() {
+        const run = ++stegCountRun;
+        const secret = stegSecret();
+        try {
+            const used = secret ? await stegPayloadSize(secret) : 0;
+            if (run !== stegCountRun) return; // typed on since: a newer count is on its way
+            showStegCount(used);
+        } catch (err) {
+            if (run !== stegCountRun) return;
+            if (stegSized.secret === secret) stegSized = { secret: null, encrypted: false, size: Promise.resolve(0) };
+            stegCharCount.textContent = '?';
+            stegDistortion.textContent = 'Couldn\'t work out the size: ' + err.message;
+        }
+    }
+
+    function showStegCount(used) {
+        stegCharCount.textContent = used.toLocaleString();
+
+        const layout = stegEmbedOptions();
+        const jpegMode = layout.format === 'jpeg';
+        if (layout.format === 'png' && !layout.channels) { stegDistortion.textContent = 'Pick at least one channel.'; return; }
+        if (layout.format !== 'text' && stegCanvas.width === 0) return;
+        stegCharCount.parentElement.classList.toggle('steg-capacity--over', used > stegRoom);
+        if (layout.format === 'text') {
+            // The 16-byte container header is woven in too
+            const chars = (16 + used) * 8 / SecretEncoder.TEXT_ALPHABETS[layout.alphabet].bits;
+            stegDistortion.textContent = `Adds ${chars.toLocaleString()} invisible characters · lost wherever they're stripped`;
+            return;
+        }
+        if (jpegMode) {
+            stegDistortion.textContent = (stegCoverJpeg ? 'Keeps the photo\'s own JPEG compression' : `JPEG quality ${layout.quality}`) +
+                ' · carrying coefficients change by at most ±1 · lost if the JPEG is re-encoded';
+            return;
+        }
+        if (layout.format === 'gif') {
+            stegDistortion.textContent = layout.gifMode === 'extension'
+                ? 'Pixels untouched · stored in a metadata-like block that GIF inspectors list'
+                : 'Reduced to 256 colours · carrying pixels may switch to the nearest colour of the other parity';
+            return;
+        }
+        const { maxChange, psnr } = SecretEncoder.distortion(stegCanvas, Math.min(used, stegRoom), layout);
+        const full = SecretEncoder.distortion(stegCanvas, stegRoom, layout);
+        stegDistortion.textContent = `Pixels change by up to ±${maxChange} per channel · ` +
+            `≈ ${psnr.toFixed(1)} dB PSNR (${full.psnr.toFixed(1)} dB when full)`;
+    }
 
     function updateStegCapacity() {
-        if (stegCanvas.width > 0) {
-            stegCapacity.textContent = SecretEncoder.capacity(stegCanvas).toLocaleString();
+        const layout = stegEmbedOptions();
+        const jpegMode = layout.format === 'jpeg';
+        const textMode = layout.format === 'text';
+        $('#steg-quality-field').style.display = jpegMode ? '' : 'none';
+        stegQuality.disabled = !!stegCoverJpeg;
+        $$('.steg-layout__field--png').forEach(field => { field.style.display = layout.format === 'png' ? '' : 'none'; });
+        $$('.steg-layout__field--text').forEach(field => { field.style.display = textMode ? '' : 'none'; });
+        stegCanvas.parentElement.style.display = textMode ? 'none' : '';
+        $('#steg-text-cover').style.display = textMode ? '' : 'none';
+        $('#steg-encode-btn').textContent = textMode ? 'Encode & Copy' : 'Encode & Download';
+        updateStegPlatform();
+
+        stegRoom = 0;
+        if (textMode || (stegCanvas.width > 0 && (layout.format !== 'png' || layout.channels))) {
+            stegRoom = SecretEncoder.capacity(stegSource(layout), layout);
         }
+        stegCapacity.textContent = stegRoom === Infinity ? 'no limit' : stegRoom.toLocaleString();
+        updateStegCount();
+    }
+
+    function updateStegPlatform() {
+        const warning = $('#steg-text-warning');
+        warning.textContent = STEG_TEXT_PLATFORMS[stegTextPlatform.value];
+        warning.style.display = stegFormat.value === 'text' && warning.textContent ? '' : 'none';
     }
 
-    stegMessage.addEventListener('input', () => {
-        stegCharCount.textContent = new TextEncoder().encode(stegMessage.value).length;
+    stegMessage.addEventListener('input', updateStegCount);
+    stegPassphrase.addEventListener('input', updateStegCount);
+    // The key only changes the room in alpha, which the JPEG and GIF modes never use
+    stegKey.addEventListener('input', () => { if (stegFormat.value === 'png') updateStegCapacity(); });
+    stegFormat.addEventListener('change', updateStegCapacity);
+    stegQuality.addEventListener('change', updateStegCapacity);
+    stegBits.addEventListener('change', updateStegCapacity);
+    stegRedundancy.addEventListener('change', updateStegCapacity);
+    stegTextAlphabet.addEventListener('change', updateStegCount);
+    stegTextPlatform.addEventListener('change', updateStegPlatform);
+    $$('#steg-channels input').forEach(input => input.addEventListener('change', updateStegCapacity));
+
+    // Text / File switch
+    $$('.steg-kind__btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            stegKind = btn.dataset.kind;
+            $$('.steg-kind__btn').forEach(b => b.classList.toggle('steg-kind__btn--active', b === btn));
+            $('#steg-secret-text').style.display = stegKind === 'text' ? '' : 'none';
+            $('#steg-secret-file').style.display = stegKind === 'file' ? '' : 'none';
+            updateStegCount();
+        });
+    });
+
+    // Any file type can be hidden
+    wireDropZone($('#steg-file-drop'), $('#steg-file-input'), file => {
+        stegFile = file;
+        stegFileInfo.textContent = `${file.name} · ${formatBytes(file.size)}`;
+        updateStegCount();
     });
 
     // Upload image for encoding
@@ -199,6 +874,16 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!isImageFile(file)) { toast('Please drop an image file.'); return; }
         try {
             await loadFileToCanvas(file, stegCanvas);
+            stegReport.style.display = 'none';
+            stegCoverJpeg = null;
+            stegCompressed = null;
+            if (isJpegFile(file)) {
+                try {
+                    stegCoverJpeg = JpegCodec.read(new Uint8Array(await file.arrayBuffer()));
+                } catch (err) {
+                    // Progressive and other JPEGs the codec can't read are compressed afresh from the canvas
+                }
+            }
             stegControls.style.display = '';
             updateStegCapacity();
             toast('Image loaded — type your secret!');
@@ -216,70 +901,374 @@ document.addEventListener('DOMContentLoaded', () => {
         const ctx = stegCanvas.getContext('2d');
         ctx.fillStyle = '#222';
         ctx.fillRect(0, 0, 512, 512);
+        stegCoverJpeg = null;
+        stegCompressed = null;
+        stegReport.style.display = 'none';
         stegControls.style.display = '';
         updateStegCapacity();
         toast('Blank canvas created (512 × 512).');
     });
 
+    // No image: hide the secret in a cover text
+    $('#steg-text-start').addEventListener('click', () => {
+        stegFormat.value = 'text';
+        stegReport.style.display = 'none';
+        stegControls.style.display = '';
+        updateStegCapacity();
+        stegCoverText.focus();
+    });
+
     // Encode button
     $('#steg-encode-btn').addEventListener('click', async () => {
-        const msg = stegMessage.value;
-        if (!msg) { toast('Type a message first.'); return; }
+        const secret = stegSecret();
+        if (!secret) { toast(stegKind === 'file' ? 'Choose a file to hide first.' : 'Type a message first.'); return; }
+
+        const options = stegEmbedOptions();
+        if (options.format === 'text') { encodeStegText(secret, options); return; }
         if (stegCanvas.width === 0) { toast('Load an image first.'); return; }
+        if (options.format === 'png' && !options.channels) { toast('Pick at least one channel.'); return; }
 
+        let blob;
         try {
-            // Work on a clone so the visible preview stays unchanged
-            const clone = document.createElement('canvas');
-            clone.width = stegCanvas.width;
-            clone.height = stegCanvas.height;
-            clone.getContext('2d').drawImage(stegCanvas, 0, 0);
-
-            const blob = await SecretEncoder.encode(clone, msg);
+            // encode() leaves the preview canvas untouched
+            blob = await SecretEncoder.encode(stegSource(options), secret, {
+                passphrase: stegPassphrase.value,
+                ...options,
+            });
             const url = URL.createObjectURL(blob);
 
             const a = document.createElement('a');
             a.href = url;
-            a.download = 'encoded.png';
+            a.download = { png: 'encoded.png', jpeg: 'encoded.jpg', gif: 'encoded.gif' }[options.format];
             a.click();
             setTimeout(() => URL.revokeObjectURL(url), 5000);
             toast('Encoded image downloaded!');
         } catch (err) {
             toast('Encode failed: ' + err.message);
+            return;
+        }
+        stegTextResult.style.display = 'none';
+        try {
+            await showStegReport(options, blob);
+        } catch (err) {
+            // The file is already downloaded; only the comparison is missing
+            stegReport.style.display = 'none';
+            toast('Could not compare before and after: ' + err.message);
         }
     });
 
-    // Sub-tabs (Encode / Decode)
-    $$('.sub-tab').forEach(tab => {
-        tab.addEventListener('click', () => {
-            $$('.sub-tab').forEach(t => t.classList.remove('sub-tab--active'));
-            tab.classList.add('sub-tab--active');
-            const target = tab.dataset.subtab;
-            $('#steg-encode').style.display = target === 'encode' ? '' : 'none';
-            $('#steg-decode').style.display = target === 'decode' ? '' : 'none';
-        });
+    async function encodeStegText(secret, options) {
+        if (!stegCoverText.value.trim()) { toast('Type a cover text first.'); stegCoverText.focus(); return; }
+        try {
+            $('#steg-text-output').value = await SecretEncoder.encode(stegSource(options), secret, {
+                passphrase: stegPassphrase.value,
+                ...options,
+            });
+        } catch (err) {
+            toast('Encode failed: ' + err.message);
+            return;
+        }
+        stegReport.style.display = 'none';
+        stegTextResult.style.display = '';
+        copyStegText();
+    }
+
+    function copyStegText() {
+        const output = $('#steg-text-output');
+        navigator.clipboard.writeText(output.value).then(
+            () => toast('Encoded text copied!'),
+            () => { output.select(); toast('Copy the encoded text below.'); });
+    }
+
+    $('#steg-text-copy').addEventListener('click', copyStegText);
+
+    // Before / after report for the image just encoded
+    const stegCompareAfter = $('#steg-compare-after');
+    const stegDiffGain = $('#steg-diff-gain');
+    let stegReportImages = null;
+
+    // Pixels as a decoder will see them: PNGs and GIFs from their bytes, JPEGs through JpegCodec —
+    // on both sides when the cover was a JPEG, so two decoders' rounding doesn't count as change
+    // A GIF file's pixels (the Secret Encoder's GIFs have a single frame)
+    function gifPixels(bytes) {
+        const gif = GifDecoder.parse(bytes);
+        let image;
+        GifDecoder.compose(gif, rgba => { image = { width: gif.width, height: gif.height, data: rgba.slice() }; });
+        return image;
+    }
+
+    async function showStegReport(options, blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const jpegMode = options.format === 'jpeg';
+        const gifMode = options.format === 'gif';
+        const cover = stegCanvas.getContext('2d').getImageData(0, 0, stegCanvas.width, stegCanvas.height);
+        // A GIF's "before" is the same GIF without the message, so the palette reduction isn't counted
+        const before = jpegMode && stegCoverJpeg ? JpegCodec.toImage(stegCoverJpeg)
+            : gifMode ? gifPixels(GifSpoofer.encodeImage(cover))
+            : cover;
+        const after = jpegMode ? JpegCodec.toImage(JpegCodec.read(bytes))
+            : gifMode ? gifPixels(bytes)
+            : PngDecoder.decode(bytes);
+        stegReportImages = { before, after };
+        $('#steg-report-hint').textContent = gifMode
+            ? 'Before (the same GIF without the message) on the left of the split, after on the right.'
+            : 'Before on the left of the split, after on the right.';
+
+        const { psnr, ssim, changed, pixels, maxChange } = SecretEncoder.compare(before, after);
+        const stat = (value, label) =>
+            `<div class="gi-stat"><span class="gi-stat__value">${value}</span><span class="gi-stat__label">${label}</span></div>`;
+        $('#steg-report-stats').innerHTML = [
+            stat(psnr === Infinity ? '∞' : `${psnr.toFixed(1)} dB`, 'PSNR'),
+            stat(ssim.toFixed(4), 'SSIM'),
+            stat(changed.toLocaleString(), `Pixels changed · ${percent(changed / pixels)}`),
+            stat(`±${maxChange}`, 'Largest change'),
+        ].join('');
+
+        drawPixels($('#steg-compare-before'), before);
+        drawPixels(stegCompareAfter, after);
+        renderStegDiff();
+        stegReport.style.display = '';
+    }
+
+    function renderStegDiff() {
+        if (!stegReportImages) return;
+        const { before, after } = stegReportImages;
+        drawPixels($('#steg-diff-canvas'), SecretEncoder.diffMap(before, after, +stegDiffGain.value));
+    }
+
+    stegDiffGain.addEventListener('change', renderStegDiff);
+    $('#steg-compare-slider').addEventListener('input', e => {
+        stegCompareAfter.style.clipPath = `inset(0 0 0 ${e.target.value}%)`;
     });
 
+    // Sub-tabs (Encode / Decode)
+    wireSubTabs($('#panel-steg'), 'steg');
+
     // Decode
     const stegDecodeResult = $('#steg-decode-result');
     const stegDecodedText = $('#steg-decoded-text');
+    const stegDecodedFile = $('#steg-decoded-file');
+    const stegDecodedDownload = $('#steg-decoded-download');
+    const stegUnlock = $('#steg-unlock');
+    const stegDecodePassphrase = $('#steg-decode-passphrase');
+    const stegScatter = $('#steg-scatter');
+    const stegDecodeKey = $('#steg-decode-key');
+    let stegDecodeSource = null; // the image or text, kept so an encrypted one can be retried with a passphrase
 
-    async function handleStegDecodeFile(file) {
-        if (!isImageFile(file)) { toast('Please drop an image file.'); return; }
+    // PNGs are decoded from their bytes: a canvas would premultiply alpha and
+    // lose the low bits of any pixel that isn't fully opaque
+    async function loadStegImage(file) {
+        const isPng = file.type === 'image/png' || /\.png$/i.test(file.name || '');
+        if (isPng) {
+            try {
+                return PngDecoder.decode(new Uint8Array(await file.arrayBuffer()));
+            } catch (err) {
+                // Fall back to the browser's decoder
+            }
+        }
+        const canvas = document.createElement('canvas');
+        await loadFileToCanvas(file, canvas);
+        return canvas;
+    }
+
+    async function runStegDecode() {
         try {
-            const canvas = document.createElement('canvas');
-            await loadFileToCanvas(file, canvas);
-            const text = SecretEncoder.decode(canvas);
-            stegDecodedText.textContent = text;
+            const secret = await SecretEncoder.decode(stegDecodeSource, {
+                passphrase: stegDecodePassphrase.value,
+                key: stegDecodeKey.value,
+            });
+            showStegSecret(secret);
             stegDecodeResult.style.display = '';
-            toast('Message revealed!');
+            stegUnlock.style.display = 'none';
+            stegScatter.style.display = 'none';
+            toast(secret.type === 'file' ? 'Hidden file found!' : 'Message revealed!');
         } catch (err) {
             stegDecodeResult.style.display = 'none';
+            if (err.code === 'PASSPHRASE_REQUIRED' || err.code === 'WRONG_PASSPHRASE') {
+                stegUnlock.style.display = '';
+                stegScatter.style.display = 'none';
+                stegDecodePassphrase.select();
+                toast(err.code === 'WRONG_PASSPHRASE' ? err.message : 'Enter the passphrase to unlock it.');
+                return;
+            }
+            // Maybe the message is there, scattered with a key (text is never scattered)
+            if (err.code === 'NOT_FOUND' && typeof stegDecodeSource !== 'string') {
+                stegScatter.style.display = '';
+                stegDecodeKey.select();
+            }
             toast('Decode failed: ' + err.message);
         }
     }
 
+    function showStegSecret(secret) {
+        const isFile = secret.type === 'file';
+        $('#steg-decoded-title').textContent = isFile ? 'Hidden file' : 'Hidden message';
+
+        // Only messages hidden with error correction report repairs
+        const note = $('#steg-decoded-note');
+        note.style.display = secret.corrected === undefined ? 'none' : '';
+        note.textContent = secret.corrected
+            ? `🛠 Error correction repaired ${secret.corrected} damaged byte${secret.corrected === 1 ? '' : 's'}.`
+            : '✓ Error correction found no damage.';
+        stegDecodedText.style.display = isFile ? 'none' : '';
+        stegDecodedFile.style.display = isFile ? '' : 'none';
+
+        if (stegDecodedDownload.href) URL.revokeObjectURL(stegDecodedDownload.href);
+        stegDecodedDownload.removeAttribute('href');
+        if (!isFile) {
+            stegDecodedText.textContent = secret.text;
+            return;
+        }
+        $('#steg-decoded-name').textContent = secret.name;
+        $('#steg-decoded-meta').textContent = `${secret.mime} · ${formatBytes(secret.bytes.length)}`;
+        stegDecodedDownload.href = URL.createObjectURL(new Blob([secret.bytes], { type: secret.mime }));
+        stegDecodedDownload.download = secret.name;
+    }
+
+    async function handleStegDecodeFile(file) {
+        if (!isImageFile(file)) { toast('Please drop an image file.'); return; }
+        let source;
+        try {
+            // JPEGs and GIFs carry their message in DCT coefficients / palette indices, read from the file itself
+            source = isJpegFile(file) || isGifFile(file)
+                ? new Uint8Array(await file.arrayBuffer())
+                : await loadStegImage(file);
+        } catch (err) {
+            toast('Failed to load image.');
+            return;
+        }
+        startStegDecode(source);
+    }
+
+    function startStegDecode(source) {
+        stegDecodeSource = source;
+        stegUnlock.style.display = 'none';
+        stegScatter.style.display = 'none';
+        stegDecodePassphrase.value = '';
+        stegDecodeKey.value = '';
+        runStegDecode();
+    }
+
     wireDropZone($('#steg-decode-drop'), $('#steg-decode-file'), handleStegDecodeFile);
 
+    // Text with invisible characters woven in
+    const stegDecodeText = $('#steg-decode-text');
+    $('#steg-decode-text-btn').addEventListener('click', () => {
+        if (!stegDecodeText.value) { toast('Paste the text first.'); return; }
+        startStegDecode(stegDecodeText.value);
+    });
+
+    $('#steg-unlock-btn').addEventListener('click', () => {
+        if (!stegDecodePassphrase.value) { toast('Type the passphrase first.'); return; }
+        runStegDecode();
+    });
+    stegDecodePassphrase.addEventListener('keydown', e => {
+        if (e.key === 'Enter') $('#steg-unlock-btn').click();
+    });
+
+    $('#steg-scatter-btn').addEventListener('click', () => {
+        if (!stegDecodeKey.value) { toast('Type the scatter key first.'); return; }
+        runStegDecode();
+    });
+    stegDecodeKey.addEventListener('keydown', e => {
+        if (e.key === 'Enter') $('#steg-scatter-btn').click();
+    });
+
+    // Analyse: check any image for hidden LSB data
+    const stegAnalysis = $('#steg-analysis');
+    const stegPlaneCanvas = $('#steg-plane-canvas');
+    const stegPlaneChannel = $('#steg-plane-channel');
+    const stegPlaneBit = $('#steg-plane-bit');
+    let stegAnalyseImage = null;
+
+    const STEG_VERDICTS = {
+        clean: '🟢 No sign of LSB embedding',
+        possible: '🟡 Possibly hidden data',
+        likely: '🔴 Likely hidden data',
+    };
+    const CHANNEL_NAMES = { r: 'Red', g: 'Green', b: 'Blue' };
+
+    function renderBitPlane() {
+        if (!stegAnalyseImage) return;
+        drawPixels(stegPlaneCanvas, Steganalysis.bitPlane(stegAnalyseImage, stegPlaneChannel.value, +stegPlaneBit.value));
+    }
+
+    // p of the chi-square test over growing slices of the image, from the top
+    function renderChiPlot(curve) {
+        const canvas = $('#steg-chi-plot');
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const y = p => 4 + (1 - (Number.isNaN(p) ? 0 : p)) * (height - 8);
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, y(0.5));
+        ctx.lineTo(width, y(0.5));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = '#f9a84c';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        curve.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.fraction * width, y(point.p));
+            else ctx.lineTo(point.fraction * width, y(point.p));
+        });
+        ctx.stroke();
+    }
+
+    function renderAnalysis(result) {
+        const verdict = $('#steg-analysis-verdict');
+        verdict.className = `steg-analysis__verdict steg-analysis__verdict--${result.verdict}`;
+        verdict.textContent = result.verdict === 'clean'
+            ? `${STEG_VERDICTS.clean}.`
+            : `${STEG_VERDICTS[result.verdict]} — roughly ${formatBytes(result.estimate.bytes)} ` +
+              `(${percent(result.estimate.rate)} of the R, G, B low bits).`;
+
+        $('#steg-analysis-rows').innerHTML = Object.keys(CHANNEL_NAMES).map(name => {
+            const { rs, chi } = result.channels[name];
+            return `<tr>
+                <td>${CHANNEL_NAMES[name]}</td>
+                <td>${rs ? percent(rs.rate) : '—'}</td>
+                <td>${Number.isNaN(chi.p) ? '—' : chi.p.toFixed(3)}</td>
+                <td>${percent(chi.fraction)}</td>
+            </tr>`;
+        }).join('');
+
+        renderChiPlot(result.chi.curve);
+        renderBitPlane();
+    }
+
+    async function handleStegAnalyseFile(file) {
+        if (!isImageFile(file)) { toast('Please drop an image file.'); return; }
+        let image;
+        try {
+            image = await loadStegImage(file);
+        } catch (err) {
+            toast('Failed to load image.');
+            return;
+        }
+        try {
+            stegAnalyseImage = image.data ? image : image.getContext('2d').getImageData(0, 0, image.width, image.height);
+            toast('Analysing…');
+            // Let the toast paint before the number crunching
+            await new Promise(resolve => setTimeout(resolve, 30));
+            renderAnalysis(Steganalysis.analyse(stegAnalyseImage));
+            stegAnalysis.style.display = '';
+        } catch (err) {
+            console.error(err);
+            stegAnalyseImage = null;
+            stegAnalysis.style.display = 'none';
+            toast('Analysis failed: ' + err.message);
+        }
+    }
+
+    wireDropZone($('#steg-analyse-drop'), $('#steg-analyse-file'), handleStegAnalyseFile);
+    stegPlaneChannel.addEventListener('change', renderBitPlane);
+    stegPlaneBit.addEventListener('change', renderBitPlane);
+
     /* ═══════════ Stencil ═══════════ */
     const stencilPreviewArea = $('#stencil-preview-area');
     const stencilPreviewImg = $('#stencil-preview-img');
@@ -319,13 +1308,24 @@ document.addEventListener('DOMContentLoaded', () => {
         if (activePanel === 'font') return;
 
         const items = e.clipboardData.items;
-        let imageFile = null;
+        const imageFiles = [];
         for (let i = 0; i < items.length; i++) {
             if (items[i].type.indexOf('image/') === 0) {
-                imageFile = items[i].getAsFile();
-                break;
+                imageFiles.push(items[i].getAsFile());
             }
         }
+        const imageFile = imageFiles[0];
+
+        // Text pasted on the Secret Encoder's Decode tab (outside its fields) may hide a message
+        if (!imageFile && activePanel === 'steg' && activeSubTab($('#panel-steg')) === 'decode' &&
+            !e.target.closest('input, textarea')) {
+            const text = e.clipboardData.getData('text/plain');
+            if (!text) return;
+            e.preventDefault();
+            stegDecodeText.value = text;
+            startStegDecode(text);
+            return;
+        }
 
         if (!imageFile) return;
 
@@ -333,17 +1333,25 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
 
         if (activePanel === 'gif') {
-            handleGifFile(imageFile);
+            const gifTab = activeSubTab($('#panel-gif'));
+            if (gifTab === 'batch') {
+                imageFiles.forEach(addBatchFile);
+            } else if (gifTab === 'animated') {
+                addGifFrame(imageFile);
+            } else {
+                handleGifFile(imageFile);
+            }
         } else if (activePanel === 'steg') {
-            const activeTabMatch = document.querySelector('.sub-tab--active');
-            if (activeTabMatch) {
-                const activeTab = activeTabMatch.dataset.subtab;
-                if (activeTab === 'encode') {
-                    handleStegEncodeFile(imageFile);
-                } else if (activeTab === 'decode') {
-                    handleStegDecodeFile(imageFile);
-                }
+            const activeTab = activeSubTab($('#panel-steg'));
+            if (activeTab === 'encode') {
+                handleStegEncodeFile(imageFile);
+            } else if (activeTab === 'decode') {
+                handleStegDecodeFile(imageFile);
+            } else if (activeTab === 'analyse') {
+                handleStegAnalyseFile(imageFile);
             }
+        } else if (activePanel === 'gifinfo') {
+            handleGifInfoFile(imageFile);
         } else if (activePanel === 'stencil') {
             handleStencilFile(imageFile);
         }
@@ -2,7 +2,10 @@
  * Font Inspector
  *
  * Allows users to paste rich text into a contenteditable zone
- * to extract and inspect the applied fonts, sizes, weights, and colours.
+ * to extract and inspect the applied fonts, sizes, weights, and colours,
+ * find which font in each family stack actually rendered,
+ * see how much of the text each distinct style covers, and export the
+ * distinct styles as CSS, design tokens or a Tailwind theme.
  */
 
 const FontInspector = (() => {
@@ -13,6 +16,13 @@ const FontInspector = (() => {
   let inspectorOutput;
   let clearBtn;
 
+  /* ── State ── */
+  let exportStyles = [];
+  let exportFormat = "css";
+  let spansView = "groups";
+  let inspected = { spans: [], groups: [] };
+  let activeGroup = -1;
+
   /* ── Helpers ── */
   function esc(s) {
     const d = document.createElement("div");
@@ -20,6 +30,9 @@ const FontInspector = (() => {
     return d.innerHTML;
   }
 
+  // esc() leaves quotes alone, which font-family values inside style="…" are full of
+  const escAttr = (s) => esc(s).replace(/"/g, "&quot;");
+
   function copyToClipboard(text, btn) {
     navigator.clipboard.writeText(text).then(() => {
       const original = btn.textContent;
@@ -88,17 +101,25 @@ const FontInspector = (() => {
   }
 
   function resetInspector() {
+    exportStyles = [];
+    inspected = { spans: [], groups: [] };
+    highlightGroup(-1);
     inspectorOutput.innerHTML = `<p class="inspector-empty">${DEFAULT_TEXT}</p>`;
     clearBtn.style.display = "none";
   }
 
   /* ── Inspection Logic ── */
   function inspectPlainText(text, output) {
+    inspected = { spans: [], groups: [] };
+    highlightGroup(-1);
     const style = getComputedStyle(pasteTarget);
+    const rendered = renderedFont(style, text);
     output.innerHTML = `
       <div class="source-badge source-badge--plain"><span class="badge-dot"></span> Plain text pasted</div>
+      ${fallbackBadge([rendered])}
       <div class="props-grid">
         ${makeProp("font-family", style.fontFamily)}
+        ${renderedProp(rendered)}
         ${makeProp("font-size", style.fontSize)}
         ${makeProp("font-weight", style.fontWeight)}
         ${makeProp("line-height", style.lineHeight)}
@@ -120,6 +141,9 @@ const FontInspector = (() => {
       const el = node.parentElement;
       const cs = getComputedStyle(el);
       spans.push({
+        rendered: renderedFont(cs, text),
+        node,
+        chars: text.length,
         text: text.slice(0, 60) + (text.length > 60 ? "…" : ""),
         fontFamily: cs.fontFamily,
         fontSize: cs.fontSize,
@@ -143,8 +167,10 @@ const FontInspector = (() => {
       <div class="source-badge source-badge--rich">
         <span class="badge-dot"></span> Rich text pasted — ${spans.length} text span${spans.length > 1 ? "s" : ""} detected
       </div>
+      ${fallbackBadge(spans.map(s => s.rendered))}
       <div class="props-grid">
         ${makeProp("font-family", first.fontFamily)}
+        ${renderedProp(first.rendered)}
         ${makeProp("font-size", first.fontSize)}
         ${makeProp("font-weight", first.fontWeight)}
         ${makeProp("line-height", first.lineHeight)}
@@ -155,30 +181,407 @@ const FontInspector = (() => {
         ${makeProp("color (HEX)", rgbToHex(first.color), true)}
       </div>`;
 
-    // Spans table if there are multiple styles
+    // Styles and spans tables if there are multiple spans
+    highlightGroup(-1);
+    inspected = { spans, groups: groupSpans(spans) };
     if (spans.length > 1) {
+      const { groups } = inspected;
       html += `
-        <div class="spans-table-wrap">
-          <table class="spans-table">
-            <thead>
-              <tr><th>Text</th><th>Font</th><th>Size</th><th>Weight</th><th>Color</th></tr>
-            </thead>
-            <tbody>
-              ${spans.map(s => `<tr>
-                <td class="st-text">${esc(s.text)}</td>
-                <td><span class="st-font" style="font-family:${esc(s.fontFamily)}">${esc(s.fontFamily)}</span></td>
-                <td>${s.fontSize}</td>
-                <td>${s.fontWeight}</td>
-                <td><span class="color-swatch-sm" style="background:${s.color}"></span> <span class="st-color">${s.color}</span></td>
-              </tr>`).join("")}
-            </tbody>
-          </table>
+        <div class="fi-spans">
+          <div class="fi-section-head">
+            <span class="fi-section-head__title">${groups.length} distinct style${groups.length > 1 ? "s" : ""} across ${spans.length} spans</span>
+            <div class="fi-switch" role="group" aria-label="Spans view">
+              ${switchButton("view", "groups", "By style", spansView)}
+              ${switchButton("view", "spans", "Every span", spansView)}
+            </div>
+          </div>
+          <div class="spans-table-wrap" id="fi-spans-body">${renderSpansView()}</div>
         </div>`;
     }
 
+    exportStyles = collectStyles(spans);
+    html += renderExport();
+
     output.innerHTML = html;
   }
 
+  /* ── Rendered font: which family in the stack the browser actually drew with ──
+   * A family counts as present when text set in it measures differently from
+   * the same text in each of three generic fallbacks, and a character as
+   * covered when it does on its own. Web fonts (those in document.fonts) must
+   * also have loaded for the text, which document.fonts.check() answers; for
+   * anything else it says true whether or not the font exists.
+   */
+  const GENERIC_FAMILIES = new Set(["serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui",
+    "ui-serif", "ui-sans-serif", "ui-monospace", "ui-rounded", "emoji", "math", "fangsong"]);
+  const PROBE_BASES = ["monospace", "serif", "sans-serif"];
+  const PROBE_TEXT = "mmmmmmmmmmlli1WQ@#";
+  const probeCache = new Map();
+  let probeCtx = null;
+
+  const isGeneric = (family) => GENERIC_FAMILIES.has(family.toLowerCase());
+  const quoteFamily = (family) => (isGeneric(family) ? family : `"${family.replace(/["\\]/g, "\\$&")}"`);
+
+  function measure(text, stack, face) {
+    if (!probeCtx) probeCtx = document.createElement("canvas").getContext("2d");
+    probeCtx.font = `${face} 72px ${stack}`;
+    return probeCtx.measureText(text).width;
+  }
+
+  // Does `family` draw `text` itself, rather than leaving it to the next font?
+  function draws(family, text, face) {
+    const key = `${face}|${family}|${text}`;
+    if (!probeCache.has(key)) {
+      probeCache.set(key, PROBE_BASES.some(base =>
+        measure(text, `${quoteFamily(family)}, ${base}`, face) !== measure(text, base, face)));
+    }
+    return probeCache.get(key);
+  }
+
+  function isWebFont(family) {
+    for (const fontFace of document.fonts) {
+      if (fontFace.family.replace(/^["']|["']$/g, "") === family) return true;
+    }
+    return false;
+  }
+
+  /**
+   * style: anything with fontFamily, fontStyle, fontWeight and textTransform (a computed style).
+   * Returns { family, fallback, skipped: [{ family, reason }], uncovered: [characters] } —
+   * `skipped` are the families before `family` that weren't used, `uncovered` the characters
+   * `family` has no glyphs for, drawn by a later font. `family` is null when nothing in
+   * the stack was available and the browser picked its own default.
+   */
+  function renderedFont(style, text) {
+    const face = `${style.fontStyle} ${style.fontWeight}`;
+    if (style.textTransform === "uppercase") text = text.toUpperCase();
+    if (style.textTransform === "lowercase") text = text.toLowerCase();
+    const chars = [...new Set(text.replace(/\s/g, ""))];
+    const skipped = [];
+
+    for (const family of familyList(style.fontFamily)) {
+      // A generic family always resolves to something; which face it is can't be measured
+      if (isGeneric(family)) return { family, fallback: skipped.length > 0, skipped, uncovered: [] };
+
+      const web = isWebFont(family);
+      const present = web ? document.fonts.check(`${face} 16px ${quoteFamily(family)}`, text) : draws(family, PROBE_TEXT, face);
+      if (!present) {
+        skipped.push({ family, reason: web ? "web font not loaded" : "not installed" });
+        continue;
+      }
+      const uncovered = chars.filter(c => !draws(family, c, face));
+      if (chars.length && uncovered.length === chars.length) {
+        skipped.push({ family, reason: "no glyphs for this text" });
+        continue;
+      }
+      return { family, fallback: skipped.length > 0 || uncovered.length > 0, skipped, uncovered };
+    }
+    return { family: null, fallback: true, skipped, uncovered: [] };
+  }
+
+  function fallbackNote(rendered) {
+    const notes = rendered.skipped.map(s => `${s.family}: ${s.reason}`);
+    const { uncovered } = rendered;
+    if (uncovered.length) {
+      notes.push(`${uncovered.length} character${uncovered.length > 1 ? "s" : ""} not in ${rendered.family}: ` +
+        uncovered.slice(0, 20).join(" ") + (uncovered.length > 20 ? " …" : ""));
+    }
+    return notes.join("\n");
+  }
+
+  function renderedTag(rendered) {
+    const title = rendered.fallback ? fallbackNote(rendered) : "The first family in the stack";
+    return `<span class="fi-rendered${rendered.fallback ? " fi-rendered--fallback" : ""}" title="${escAttr(title)}">` +
+      `${rendered.fallback ? "⚠ " : ""}${esc(rendered.family || "browser default")}</span>`;
+  }
+
+  // A copyable property when a listed family rendered; otherwise there's no CSS to copy, just a note
+  function renderedProp(rendered) {
+    if (rendered.family) return makeProp("font-family (rendered)", quoteFamily(rendered.family));
+    return `
+      <div class="prop-card prop-card--note" title="${escAttr(fallbackNote(rendered))}">
+        <div class="prop-card__info">
+          <span class="prop-card__label">font-family (rendered)</span>
+          <span class="prop-card__value">browser default (no listed font available)</span>
+        </div>
+      </div>`;
+  }
+
+  function fallbackBadge(rendered) {
+    const count = rendered.filter(r => r.fallback).length;
+    if (!count) return "";
+    const what = rendered.length > 1 ? `${count} of ${rendered.length} spans` : "This text";
+    return `<div class="source-badge source-badge--warn"><span class="badge-dot"></span> ${what} fell back to another font</div>`;
+  }
+
+  // One entry per rendered family in a group, flagged if any of its spans fell back
+  function groupRendered(group) {
+    const byFamily = new Map();
+    for (const { rendered } of group.spans) {
+      const seen = byFamily.get(rendered.family);
+      if (!seen || (rendered.fallback && !seen.fallback)) byFamily.set(rendered.family, rendered);
+    }
+    return [...byFamily.values()];
+  }
+
+  /* ── Style groups: spans sharing every inspected property ── */
+  const styleKey = (span) => [span.fontFamily, span.fontSize, span.fontWeight, span.fontStyle, span.lineHeight,
+    span.letterSpacing, span.textTransform, span.color].join("|");
+
+  // Most-used first; share is of all inspected characters
+  function groupSpans(spans) {
+    const groups = new Map();
+    const total = spans.reduce((sum, s) => sum + s.chars, 0);
+    for (const span of spans) {
+      const key = styleKey(span);
+      if (!groups.has(key)) groups.set(key, { style: span, spans: [], chars: 0 });
+      const group = groups.get(key);
+      group.spans.push(span);
+      group.chars += span.chars;
+    }
+    return [...groups.values()]
+      .map(g => ({ ...g, share: g.chars / total }))
+      .sort((a, b) => b.chars - a.chars);
+  }
+
+  function renderSpansView() {
+    if (spansView === "spans") {
+      return `
+        <table class="spans-table">
+          <thead>
+            <tr><th>Text</th><th>Font</th><th>Rendered</th><th>Size</th><th>Weight</th><th>Color</th></tr>
+          </thead>
+          <tbody>
+            ${inspected.spans.map(s => `<tr>
+              <td class="st-text">${esc(s.text)}</td>
+              <td><span class="st-font" style="font-family:${escAttr(s.fontFamily)}">${esc(s.fontFamily)}</span></td>
+              <td>${renderedTag(s.rendered)}</td>
+              <td>${s.fontSize}</td>
+              <td>${s.fontWeight}</td>
+              <td><span class="color-swatch-sm" style="background:${s.color}"></span> <span class="st-color">${s.color}</span></td>
+            </tr>`).join("")}
+          </tbody>
+        </table>`;
+    }
+
+    return `
+      <table class="spans-table">
+        <thead>
+          <tr><th>Style</th><th>Chars</th><th>Nodes</th><th>Share</th><th>Samples</th></tr>
+        </thead>
+        <tbody>
+          ${inspected.groups.map((g, i) => {
+            const s = g.style;
+            const samples = g.spans.slice(0, 3).map(span => `<span class="fi-group__sample">${esc(span.text.slice(0, 40))}</span>`);
+            return `<tr class="fi-group${i === activeGroup ? " fi-group--active" : ""}" data-group="${i}" title="Highlight these runs">
+              <td>
+                <span class="st-font" style="font-family:${escAttr(s.fontFamily)}">${esc(familyList(s.fontFamily)[0] || s.fontFamily)}</span>
+                <span class="fi-group__meta"><span class="color-swatch-sm" style="background:${s.color}"></span>${s.fontSize} · ${s.fontWeight}${s.fontStyle !== "normal" ? ` · ${s.fontStyle}` : ""}</span>
+                <span class="fi-group__meta">renders as ${groupRendered(g).map(renderedTag).join(", ")}</span>
+              </td>
+              <td>${g.chars.toLocaleString()}</td>
+              <td>${g.spans.length}</td>
+              <td>
+                <span class="fi-group__share">${(g.share * 100).toFixed(1)}%</span>
+                <span class="fi-group__bar"><span style="width:${(g.share * 100).toFixed(1)}%"></span></span>
+              </td>
+              <td class="fi-group__samples">${samples.join("")}${g.spans.length > 3 ? `<span class="fi-group__more">+${g.spans.length - 3} more</span>` : ""}</td>
+            </tr>`;
+          }).join("")}
+        </tbody>
+      </table>`;
+  }
+
+  function showSpansView(view) {
+    spansView = view;
+    const body = inspectorOutput.querySelector("#fi-spans-body");
+    if (body) body.innerHTML = renderSpansView();
+    inspectorOutput.querySelectorAll('.fi-switch__btn[data-view]').forEach(b =>
+      b.classList.toggle("fi-switch__btn--active", b.dataset.view === view));
+  }
+
+  // Mark a group's runs in the paste zone with the CSS Custom Highlight API, which leaves the pasted DOM alone;
+  // without it, select the first run. -1 clears.
+  function highlightGroup(index) {
+    activeGroup = index;
+    if (window.CSS && CSS.highlights) CSS.highlights.delete("fi-group");
+    if (!inspectorOutput) return;
+    inspectorOutput.querySelectorAll(".fi-group").forEach(row =>
+      row.classList.toggle("fi-group--active", Number(row.dataset.group) === index));
+
+    const group = inspected.groups[index];
+    if (!group) return;
+    const ranges = group.spans.map(span => {
+      const range = document.createRange();
+      range.selectNodeContents(span.node);
+      return range;
+    });
+    if (window.CSS && CSS.highlights && window.Highlight) {
+      CSS.highlights.set("fi-group", new Highlight(...ranges));
+    } else {
+      const selection = getSelection();
+      selection.removeAllRanges();
+      selection.addRange(ranges[0]);
+    }
+    group.spans[0].node.parentElement.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }
+
+  function switchButton(kind, value, label, current) {
+    return `<button class="fi-switch__btn${value === current ? " fi-switch__btn--active" : ""}" data-${kind}="${value}">${label}</button>`;
+  }
+
+  /* ── Export: the distinct styles as a typography system ── */
+  const EXPORT_FORMATS = {
+    css: { label: "CSS", file: "typography.css", type: "text/css", build: toCss },
+    tokens: { label: "Design tokens", file: "typography.tokens.json", type: "application/json", build: toTokens },
+    tailwind: { label: "Tailwind", file: "tailwind.config.js", type: "text/javascript", build: toTailwind },
+  };
+
+  const slug = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "font";
+  const px = (value) => parseFloat(value) || 0;
+
+  // "a", "b", then "a-2", "a-3"… for repeats
+  function uniqueName(base, taken) {
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base}-${n}`;
+    taken.add(name);
+    return name;
+  }
+
+  // Split a font-family stack on commas outside quotes, without the quotes
+  function familyList(stack) {
+    return (stack.match(/"[^"]*"|'[^']*'|[^,]+/g) || [])
+      .map(f => f.trim().replace(/^["']|["']$/g, ""))
+      .filter(Boolean);
+  }
+
+  // One entry per distinct style, named by size and weight; families and colours named once each
+  function collectStyles(spans) {
+    const styles = new Map();
+    const families = new Map();
+    const colors = new Map();
+    const taken = new Set();
+    const familyNames = new Set();
+
+    for (const span of spans) {
+      const key = styleKey(span);
+      if (styles.has(key)) continue;
+
+      if (!families.has(span.fontFamily)) {
+        const list = familyList(span.fontFamily);
+        families.set(span.fontFamily, { name: uniqueName(slug(list[0] || "font"), familyNames), list });
+      }
+      const hex = rgbToHex(span.color);
+      if (!colors.has(hex)) colors.set(hex, `ink-${colors.size + 1}`);
+
+      const italic = span.fontStyle === "normal" ? "" : "-italic";
+      styles.set(key, {
+        ...span,
+        name: uniqueName(`type-${Math.round(px(span.fontSize))}-${span.fontWeight}${italic}`, taken),
+        family: families.get(span.fontFamily),
+        hex,
+        colorName: colors.get(hex),
+      });
+    }
+    return [...styles.values()];
+  }
+
+  function toCss(styles) {
+    const rules = styles.map(s => {
+      const decls = [
+        `font-family: ${s.fontFamily};`,
+        `font-size: ${s.fontSize};`,
+        `font-weight: ${s.fontWeight};`,
+        s.fontStyle !== "normal" ? `font-style: ${s.fontStyle};` : "",
+        `line-height: ${s.lineHeight};`,
+        s.letterSpacing !== "normal" ? `letter-spacing: ${s.letterSpacing};` : "",
+        s.textTransform !== "none" ? `text-transform: ${s.textTransform};` : "",
+        `color: ${s.hex};`,
+      ].filter(Boolean);
+      return `.${s.name} {\n${decls.map(d => `  ${d}`).join("\n")}\n}`;
+    });
+    return `/* ${styles.length} text style${styles.length === 1 ? "" : "s"}, from Font Inspector */\n\n${rules.join("\n\n")}\n`;
+  }
+
+  // W3C Design Tokens Community Group format; typography tokens refer to the family and colour tokens
+  function toTokens(styles) {
+    const tokens = { fontFamily: {}, color: {}, typography: {} };
+    for (const s of styles) {
+      tokens.fontFamily[s.family.name] = { $type: "fontFamily", $value: s.family.list };
+      tokens.color[s.colorName] = { $type: "color", $value: s.hex };
+      // Tokens want line height as a ratio; "normal" is about 1.2 in most fonts
+      const lineHeight = s.lineHeight === "normal" ? 1.2 : px(s.lineHeight) / px(s.fontSize);
+      tokens.typography[s.name] = {
+        $type: "typography",
+        $value: {
+          fontFamily: `{fontFamily.${s.family.name}}`,
+          fontSize: s.fontSize,
+          fontWeight: Number(s.fontWeight) || s.fontWeight,
+          lineHeight: Math.round(lineHeight * 1000) / 1000,
+          letterSpacing: s.letterSpacing === "normal" ? "0px" : s.letterSpacing,
+        },
+      };
+    }
+    return JSON.stringify(tokens, null, 2) + "\n";
+  }
+
+  // theme.extend: font families, colours, and font sizes carrying their line height, spacing and weight
+  function toTailwind(styles) {
+    const extend = { fontFamily: {}, fontSize: {}, colors: {} };
+    const sizes = new Map(); // styles that differ only in family or colour share a font size
+    const taken = new Set();
+    for (const s of styles) {
+      extend.fontFamily[s.family.name] = s.family.list;
+      extend.colors[s.colorName] = s.hex;
+      const extra = { fontWeight: s.fontWeight };
+      if (s.lineHeight !== "normal") extra.lineHeight = s.lineHeight;
+      if (s.letterSpacing !== "normal") extra.letterSpacing = s.letterSpacing;
+      const key = JSON.stringify([s.fontSize, extra]);
+      if (!sizes.has(key)) {
+        const name = uniqueName(`${Math.round(px(s.fontSize))}-${s.fontWeight}`, taken);
+        sizes.set(key, name);
+        extend.fontSize[name] = [s.fontSize, extra];
+      }
+    }
+    const first = styles[0];
+    return `// e.g. class="font-${first.family.name} text-${sizes.values().next().value} text-${first.colorName}"\n` +
+      `module.exports = {\n  theme: {\n    extend: ${JSON.stringify(extend, null, 2).replace(/\n/g, "\n    ")},\n  },\n};\n`;
+  }
+
+  function renderExport() {
+    const count = exportStyles.length;
+    return `
+      <div class="fi-export">
+        <div class="fi-section-head">
+          <span class="fi-section-head__title">Export ${count} distinct style${count === 1 ? "" : "s"}</span>
+          <div class="fi-switch" role="group" aria-label="Export format">
+            ${Object.entries(EXPORT_FORMATS).map(([id, f]) => switchButton("format", id, f.label, exportFormat)).join("")}
+          </div>
+        </div>
+        <pre class="fi-export__code">${esc(EXPORT_FORMATS[exportFormat].build(exportStyles))}</pre>
+        <div class="fi-export__actions">
+          <button class="btn btn--secondary btn--sm fi-export__copy">📋 Copy</button>
+          <button class="btn btn--secondary btn--sm fi-export__download">⬇ Download</button>
+        </div>
+      </div>`;
+  }
+
+  function showExportFormat(format) {
+    exportFormat = format;
+    const wrap = inspectorOutput.querySelector(".fi-export");
+    if (wrap) wrap.outerHTML = renderExport();
+  }
+
+  function downloadExport() {
+    const format = EXPORT_FORMATS[exportFormat];
+    const url = URL.createObjectURL(new Blob([format.build(exportStyles)], { type: format.type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = format.file;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
   /* ── UI Rendering ── */
   function makeProp(label, value, isColor = false) {
     // Extract base property name for the copy-css action (e.g. "color (HEX)" -> "color")
@@ -197,12 +600,26 @@ const FontInspector = (() => {
       </div>`;
   }
 
-  // Global event delegation for copy buttons inserted via innerHTML
+  // Global event delegation for copy and export buttons inserted via innerHTML
   document.addEventListener('click', (e) => {
     const copyBtn = e.target.closest('.prop-card__copy');
     if (copyBtn) {
       copyToClipboard(copyBtn.dataset.css, copyBtn);
     }
+
+    const switchBtn = e.target.closest('.fi-switch__btn');
+    if (switchBtn && switchBtn.dataset.format) showExportFormat(switchBtn.dataset.format);
+    if (switchBtn && switchBtn.dataset.view) showSpansView(switchBtn.dataset.view);
+
+    const groupRow = e.target.closest('.fi-group');
+    if (groupRow) {
+      const index = Number(groupRow.dataset.group);
+      highlightGroup(index === activeGroup ? -1 : index);
+    }
+    if (e.target.closest('.fi-export__copy')) {
+      copyToClipboard(EXPORT_FORMATS[exportFormat].build(exportStyles), e.target.closest('.fi-export__copy'));
+    }
+    if (e.target.closest('.fi-export__download')) downloadExport();
   });
 
   return { init };
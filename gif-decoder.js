@@ -0,0 +1,339 @@
+/**
+ * GIF Decoder — parses GIF87a / GIF89a files back into blocks and frames
+ *
+ * Zero dependencies, no DOM: works in the page, in workers and in Node.
+ * parse() walks the whole stream and records every block with its byte
+ * offset, so the GIF Inspector can show the file layout as well as the
+ * decoded frames:
+ *   Header  →  Logical Screen Descriptor  →  [Global Color Table]
+ *   →  { Extension | Image Descriptor → [Local Color Table] → LZW data }*
+ *   →  Trailer
+ */
+
+const GifDecoder = (() => {
+    const DISPOSAL_NAMES = ['none', 'keep', 'background', 'previous'];
+
+    // Bytes → string, one char per byte; in chunks, as a long comment would overflow the argument list
+    function latin1(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return text;
+    }
+
+    /* ── Byte reader ── */
+    function reader(bytes) {
+        let pos = 0;
+        const need = n => {
+            if (pos + n > bytes.length) throw new Error(`Unexpected end of file at byte ${pos}`);
+        };
+        return {
+            get pos() { return pos; },
+            eof: () => pos >= bytes.length,
+            u8() { need(1); return bytes[pos++]; },
+            u16() { need(2); const v = bytes[pos] | (bytes[pos + 1] << 8); pos += 2; return v; },
+            bytes(n) { need(n); const v = bytes.subarray(pos, pos + n); pos += n; return v; },
+            ascii(n) { return String.fromCharCode(...this.bytes(n)); },
+            // Concatenate a run of data sub-blocks up to the zero-length terminator
+            subBlocks() {
+                const chunks = [];
+                let total = 0, size;
+                while ((size = this.u8()) !== 0) {
+                    const chunk = this.bytes(size);
+                    chunks.push(chunk);
+                    total += size;
+                }
+                const out = new Uint8Array(total);
+                let off = 0;
+                for (const c of chunks) { out.set(c, off); off += c.length; }
+                return out;
+            },
+        };
+    }
+
+    function readColorTable(r, size) {
+        const raw = r.bytes(size * 3);
+        const table = [];
+        for (let i = 0; i < size; i++) table.push([raw[i * 3], raw[i * 3 + 1], raw[i * 3 + 2]]);
+        return table;
+    }
+
+    /* ── LZW-decompress GIF image data into palette indices ── */
+    function lzwDecode(data, minCodeSize, pixelCount) {
+        const clearCode = 1 << minCodeSize;
+        const eoiCode = clearCode + 1;
+        const out = new Uint8Array(pixelCount);
+
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+        for (let i = 0; i < clearCode; i++) suffix[i] = i;
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = eoiCode + 1;
+        let prev = -1, first = 0;
+        let buffer = 0, bufferLen = 0, pos = 0, op = 0;
+
+        while (op < pixelCount) {
+            while (bufferLen < codeSize && pos < data.length) {
+                buffer |= data[pos++] << bufferLen;
+                bufferLen += 8;
+            }
+            if (bufferLen < codeSize) break; // ran out of data — leave the rest as index 0
+
+            let code = buffer & ((1 << codeSize) - 1);
+            buffer >>>= codeSize;
+            bufferLen -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                nextCode = eoiCode + 1;
+                prev = -1;
+                continue;
+            }
+            if (code === eoiCode) break;
+
+            if (prev === -1) {
+                if (code >= clearCode) throw new Error('Corrupt LZW data');
+                out[op++] = first = code;
+                prev = code;
+                continue;
+            }
+
+            const current = code;
+            let sp = 0;
+            if (code >= nextCode) {
+                // KwKwK case: the code being defined right now
+                if (code > nextCode) throw new Error('Corrupt LZW data');
+                stack[sp++] = first;
+                code = prev;
+            }
+            while (code > eoiCode) {
+                stack[sp++] = suffix[code];
+                code = prefix[code];
+            }
+            first = suffix[code];
+            stack[sp++] = first;
+
+            if (nextCode < 4096) {
+                prefix[nextCode] = prev;
+                suffix[nextCode] = first;
+                nextCode++;
+                if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+            }
+            prev = current;
+
+            while (sp > 0 && op < pixelCount) out[op++] = stack[--sp];
+        }
+
+        return out;
+    }
+
+    // Interlaced rows are stored in four passes: every 8th from 0, every 8th from 4, every 4th from 2, every 2nd from 1
+    function deinterlace(indices, width, height) {
+        const out = new Uint8Array(indices.length);
+        let src = 0;
+        for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+            for (let y = start; y < height; y += step) {
+                out.set(indices.subarray(src * width, (src + 1) * width), y * width);
+                src++;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Parse a GIF file.
+     * Returns { version, width, height, backgroundIndex, aspect, globalColorTable,
+     *           loopCount, comments, blocks, frames }.
+     * Each block is { type, offset, length, ...details }; each frame is
+     * { left, top, width, height, interlaced, colorTable, local, minCodeSize,
+     *   indices, delay (ms), disposal, transparentIndex, dataLength }.
+     */
+    function parse(input) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const r = reader(bytes);
+        const blocks = [];
+        const frames = [];
+        const comments = [];
+        let loopCount = null;
+
+        const block = (type, offset, details = {}) => {
+            blocks.push({ type, offset, length: r.pos - offset, ...details });
+        };
+
+        // Header
+        const signature = bytes.length >= 6 ? r.ascii(6) : '';
+        if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+            throw new Error('Not a GIF file');
+        }
+        const version = signature.slice(3);
+        block('header', 0, { version });
+
+        // Logical Screen Descriptor
+        let offset = r.pos;
+        const width = r.u16();
+        const height = r.u16();
+        const packed = r.u8();
+        const backgroundIndex = r.u8();
+        const aspect = r.u8();
+        const hasGct = (packed & 0x80) !== 0;
+        const gctSize = 1 << ((packed & 0x07) + 1);
+        block('screen', offset, {
+            width, height, backgroundIndex, aspect,
+            colorResolution: ((packed >> 4) & 0x07) + 1,
+            sorted: (packed & 0x08) !== 0,
+        });
+
+        let globalColorTable = null;
+        if (hasGct) {
+            offset = r.pos;
+            globalColorTable = readColorTable(r, gctSize);
+            block('global-color-table', offset, { colors: gctSize });
+        }
+
+        let gce = null; // pending Graphic Control Extension for the next image
+
+        while (!r.eof()) {
+            offset = r.pos;
+            const introducer = r.u8();
+
+            if (introducer === 0x3b) {
+                block('trailer', offset);
+                break;
+            }
+
+            if (introducer === 0x21) {
+                const label = r.u8();
+
+                if (label === 0xf9) {
+                    r.u8(); // block size (4)
+                    const flags = r.u8();
+                    const delay = r.u16() * 10;
+                    const transparentIndex = r.u8();
+                    r.subBlocks();
+                    gce = {
+                        disposal: DISPOSAL_NAMES[(flags >> 2) & 0x07] || `reserved (${(flags >> 2) & 0x07})`,
+                        userInput: (flags & 0x02) !== 0,
+                        transparentIndex: flags & 0x01 ? transparentIndex : -1,
+                        delay,
+                    };
+                    block('graphic-control', offset, gce);
+                } else if (label === 0xfe) {
+                    const text = latin1(r.subBlocks());
+                    comments.push(text);
+                    block('comment', offset, { text });
+                } else if (label === 0xff) {
+                    const size = r.u8();
+                    const app = r.bytes(size);
+                    const identifier = String.fromCharCode(...app.subarray(0, 8));
+                    const auth = String.fromCharCode(...app.subarray(8, 11));
+                    const data = r.subBlocks();
+                    const details = { identifier, auth, dataLength: data.length, data };
+                    if ((identifier === 'NETSCAPE' || identifier === 'ANIMEXTS') && data[0] === 1 && data.length >= 3) {
+                        loopCount = details.loopCount = data[1] | (data[2] << 8);
+                    }
+                    block('application', offset, details);
+                } else if (label === 0x01) {
+                    r.bytes(r.u8()); // text grid header — rendered text isn't supported
+                    const text = latin1(r.subBlocks());
+                    block('plain-text', offset, { text });
+                    gce = null;
+                } else {
+                    r.subBlocks();
+                    block('unknown-extension', offset, { label });
+                }
+                continue;
+            }
+
+            if (introducer === 0x2c) {
+                const left = r.u16();
+                const top = r.u16();
+                const w = r.u16();
+                const h = r.u16();
+                const flags = r.u8();
+                const interlaced = (flags & 0x40) !== 0;
+                block('image', offset, { left, top, width: w, height: h, interlaced });
+
+                let colorTable = globalColorTable;
+                const local = (flags & 0x80) !== 0;
+                if (local) {
+                    offset = r.pos;
+                    const size = 1 << ((flags & 0x07) + 1);
+                    colorTable = readColorTable(r, size);
+                    block('local-color-table', offset, { colors: size });
+                }
+
+                offset = r.pos;
+                const minCodeSize = r.u8();
+                const data = r.subBlocks();
+                block('image-data', offset, { minCodeSize, compressedLength: data.length });
+
+                let indices = lzwDecode(data, minCodeSize, w * h);
+                if (interlaced) indices = deinterlace(indices, w, h);
+
+                frames.push({
+                    left, top, width: w, height: h, interlaced,
+                    colorTable, local, minCodeSize, indices,
+                    delay: gce ? gce.delay : 0,
+                    disposal: gce ? gce.disposal : 'none',
+                    transparentIndex: gce ? gce.transparentIndex : -1,
+                    dataLength: data.length,
+                });
+                gce = null;
+                continue;
+            }
+
+            throw new Error(`Unknown block 0x${introducer.toString(16).padStart(2, '0')} at byte ${offset}`);
+        }
+
+        return { version, width, height, backgroundIndex, aspect, globalColorTable, loopCount, comments, blocks, frames };
+    }
+
+    /**
+     * Composite frames onto the logical screen, honouring disposal methods.
+     * Calls onFrame(rgba, index) with the live RGBA canvas after each frame —
+     * copy it if you need to keep it.
+     */
+    function compose(gif, onFrame) {
+        const { width, height } = gif;
+        const canvas = new Uint8ClampedArray(width * height * 4);
+
+        gif.frames.forEach((frame, i) => {
+            const saved = frame.disposal === 'previous' ? canvas.slice() : null;
+            const table = frame.colorTable || [];
+
+            for (let y = 0; y < frame.height; y++) {
+                const cy = frame.top + y;
+                if (cy >= height) break;
+                for (let x = 0; x < frame.width; x++) {
+                    const cx = frame.left + x;
+                    if (cx >= width) break;
+                    const idx = frame.indices[y * frame.width + x];
+                    if (idx === frame.transparentIndex) continue;
+                    const rgb = table[idx] || [0, 0, 0];
+                    const o = (cy * width + cx) * 4;
+                    canvas[o] = rgb[0];
+                    canvas[o + 1] = rgb[1];
+                    canvas[o + 2] = rgb[2];
+                    canvas[o + 3] = 255;
+                }
+            }
+
+            onFrame(canvas, i);
+
+            if (frame.disposal === 'background') {
+                for (let y = frame.top; y < Math.min(height, frame.top + frame.height); y++) {
+                    canvas.fill(0, (y * width + frame.left) * 4, (y * width + Math.min(width, frame.left + frame.width)) * 4);
+                }
+            } else if (saved) {
+                canvas.set(saved);
+            }
+        });
+    }
+
+    return { parse, compose };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = GifDecoder;
@@ -0,0 +1,180 @@
+/**
+ * GIF Inspector — renders what GifDecoder found in a GIF file:
+ * summary, palette swatches, the frame list and the raw block layout.
+ */
+
+const GifInspector = (() => {
+    const BLOCK_NAMES = {
+        'header': 'Header',
+        'screen': 'Logical Screen Descriptor',
+        'global-color-table': 'Global Color Table',
+        'graphic-control': 'Graphic Control Extension',
+        'comment': 'Comment Extension',
+        'application': 'Application Extension',
+        'plain-text': 'Plain Text Extension',
+        'unknown-extension': 'Unknown Extension',
+        'image': 'Image Descriptor',
+        'local-color-table': 'Local Color Table',
+        'image-data': 'LZW Image Data',
+        'trailer': 'Trailer',
+    };
+
+    const THUMB_SIZE = 64;
+
+    /* ── Helpers ── */
+    function esc(s) {
+        const d = document.createElement('div');
+        d.textContent = s;
+        return d.innerHTML;
+    }
+
+    function hex(rgb) {
+        return '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('');
+    }
+
+    function formatBytes(n) {
+        return n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} KB`;
+    }
+
+    function blockDetails(b) {
+        switch (b.type) {
+            case 'header': return `GIF${b.version}`;
+            case 'screen': return `${b.width}×${b.height}, background #${b.backgroundIndex}, ${b.colorResolution}-bit colour`;
+            case 'global-color-table':
+            case 'local-color-table': return `${b.colors} colours`;
+            case 'graphic-control':
+                return `delay ${b.delay} ms, dispose: ${b.disposal}` +
+                    (b.transparentIndex >= 0 ? `, transparent #${b.transparentIndex}` : ', opaque');
+            case 'comment':
+            case 'plain-text': return `“${b.text.length > 60 ? b.text.slice(0, 60) + '…' : b.text}”`;
+            case 'application':
+                return `${b.identifier}${b.auth}` + (b.loopCount !== undefined
+                    ? `, loop ${b.loopCount === 0 ? 'forever' : b.loopCount + '×'}`
+                    : `, ${b.dataLength} bytes`);
+            case 'unknown-extension': return `label 0x${b.label.toString(16)}`;
+            case 'image': return `${b.width}×${b.height} at (${b.left}, ${b.top})${b.interlaced ? ', interlaced' : ''}`;
+            case 'image-data': return `min code size ${b.minCodeSize}, ${b.compressedLength.toLocaleString()} bytes compressed`;
+            default: return '';
+        }
+    }
+
+    function swatches(table, transparentIndex = -1) {
+        return table.map((rgb, i) => {
+            const clear = i === transparentIndex;
+            return `<span class="gi-swatch${clear ? ' gi-swatch--clear' : ''}" style="background:${hex(rgb)}"
+                title="#${i} ${hex(rgb)}${clear ? ' (transparent)' : ''}"></span>`;
+        }).join('');
+    }
+
+    /* ── Rendering ── */
+    function render(container, gif, { name, size }) {
+        const duration = gif.frames.reduce((t, f) => t + f.delay, 0);
+        const loop = gif.loopCount === null ? 'once' : gif.loopCount === 0 ? 'forever' : `${gif.loopCount}×`;
+
+        container.innerHTML = `
+            <div class="gi-stats">
+                <div class="gi-stat"><span class="gi-stat__value">GIF${gif.version}</span><span class="gi-stat__label">${esc(name)}</span></div>
+                <div class="gi-stat"><span class="gi-stat__value">${gif.width}×${gif.height}</span><span class="gi-stat__label">Screen</span></div>
+                <div class="gi-stat"><span class="gi-stat__value">${gif.frames.length}</span><span class="gi-stat__label">Frames</span></div>
+                <div class="gi-stat"><span class="gi-stat__value">${(duration / 1000).toFixed(2)} s</span><span class="gi-stat__label">Loop ${loop}</span></div>
+                <div class="gi-stat"><span class="gi-stat__value">${formatBytes(size)}</span><span class="gi-stat__label">File size</span></div>
+            </div>
+
+            <h3 class="gi-section__title">Palette <span class="gi-section__hint" id="gi-palette-label"></span></h3>
+            <div class="gi-palette" id="gi-palette"></div>
+
+            <h3 class="gi-section__title">Frames</h3>
+            <div class="spans-table-wrap">
+                <table class="spans-table gi-frames">
+                    <thead>
+                        <tr><th>#</th><th>Frame</th><th>Rect</th><th>Delay</th><th>Disposal</th><th>Colours</th><th>Data</th></tr>
+                    </thead>
+                    <tbody id="gi-frame-rows"></tbody>
+                </table>
+            </div>
+
+            ${gif.comments.length ? `
+            <h3 class="gi-section__title">Comments</h3>
+            ${gif.comments.map(c => `<pre class="steg-decode-result__text gi-comment">${esc(c)}</pre>`).join('')}` : ''}
+
+            <h3 class="gi-section__title">Block layout</h3>
+            <div class="spans-table-wrap">
+                <table class="spans-table gi-blocks">
+                    <thead>
+                        <tr><th>Offset</th><th>Size</th><th>Block</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${gif.blocks.map(b => `<tr>
+                            <td class="gi-mono">0x${b.offset.toString(16).padStart(6, '0')}</td>
+                            <td>${b.length.toLocaleString()}</td>
+                            <td class="gi-block gi-block--${b.type}">${BLOCK_NAMES[b.type]}</td>
+                            <td>${esc(blockDetails(b))}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+
+        const palette = container.querySelector('#gi-palette');
+        const paletteLabel = container.querySelector('#gi-palette-label');
+        const rows = container.querySelector('#gi-frame-rows');
+
+        function showPalette(frameIndex) {
+            const frame = gif.frames[frameIndex];
+            const table = frame ? frame.colorTable : gif.globalColorTable;
+            if (!table) {
+                palette.innerHTML = '<p class="inspector-empty">No colour table.</p>';
+                paletteLabel.textContent = '';
+                return;
+            }
+            palette.innerHTML = swatches(table, frame ? frame.transparentIndex : -1);
+            paletteLabel.textContent = frame && frame.local
+                ? `local table of frame ${frameIndex + 1} · ${table.length} colours`
+                : `global · ${table.length} colours`;
+            rows.querySelectorAll('tr').forEach((tr, i) => tr.classList.toggle('gi-row--active', i === frameIndex));
+        }
+
+        // Thumbnails are drawn from the composited screen, scaled down once per frame
+        const full = document.createElement('canvas');
+        full.width = gif.width;
+        full.height = gif.height;
+        const fullCtx = full.getContext('2d');
+        const scale = Math.min(1, THUMB_SIZE / Math.max(gif.width, gif.height));
+
+        GifDecoder.compose(gif, (rgba, i) => {
+            const frame = gif.frames[i];
+            fullCtx.putImageData(new ImageData(new Uint8ClampedArray(rgba), gif.width, gif.height), 0, 0);
+
+            const thumb = document.createElement('canvas');
+            thumb.className = 'gi-thumb';
+            thumb.width = Math.max(1, Math.round(gif.width * scale));
+            thumb.height = Math.max(1, Math.round(gif.height * scale));
+            thumb.getContext('2d').drawImage(full, 0, 0, thumb.width, thumb.height);
+
+            const tr = document.createElement('tr');
+            tr.className = 'gi-row';
+            tr.innerHTML = `
+                <td>${i + 1}</td>
+                <td></td>
+                <td>${frame.width}×${frame.height} @ ${frame.left},${frame.top}${frame.interlaced ? ' · interlaced' : ''}</td>
+                <td>${frame.delay} ms</td>
+                <td>${frame.disposal}</td>
+                <td>${frame.local ? 'local' : 'global'} · ${frame.colorTable ? frame.colorTable.length : 0}${frame.transparentIndex >= 0 ? ` · transparent #${frame.transparentIndex}` : ''}</td>
+                <td>${formatBytes(frame.dataLength)}</td>`;
+            tr.children[1].appendChild(thumb);
+            tr.addEventListener('click', () => showPalette(i));
+            rows.appendChild(tr);
+        });
+
+        showPalette(gif.globalColorTable ? -1 : 0);
+    }
+
+    /* ── Public API ── */
+    async function inspect(file, container) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const gif = GifDecoder.parse(bytes);
+        render(container, gif, { name: file.name || 'untitled.gif', size: bytes.length });
+        return gif;
+    }
+
+    return { inspect };
+})();
@@ -0,0 +1,139 @@
+/**
+ * GIF Palette — fixed palettes for GifSpoofer, plus palette file import / export
+ *
+ * Palettes are plain [[r, g, b], …] lists, the same shape quantize() produces.
+ * Supported files:
+ *   .gpl  — GIMP palette (text: "GIMP Palette" header, then "R G B name" lines)
+ *   .act  — Adobe Color Table (768 bytes of RGB, optionally followed by a
+ *           big-endian colour count and transparent index)
+ *   .json — a swatch list [{ hex, rgb }, …], as written by serialize()
+ */
+
+const GifPalette = (() => {
+    /* ── Presets ── */
+    // The 6×6×6 cube every 256-colour browser could show without dithering
+    function webSafe() {
+        const steps = [0x00, 0x33, 0x66, 0x99, 0xcc, 0xff];
+        const palette = [];
+        for (const r of steps) for (const g of steps) for (const b of steps) palette.push([r, g, b]);
+        return palette;
+    }
+
+    function grayscale(colors = 256) {
+        const n = Math.max(2, Math.min(256, colors));
+        return Array.from({ length: n }, (_, i) => {
+            const v = Math.round(i * 255 / (n - 1));
+            return [v, v, v];
+        });
+    }
+
+    // Original DMG screen, darkest to lightest
+    const GAME_BOY = [[15, 56, 15], [48, 98, 48], [139, 172, 15], [155, 188, 15]];
+
+    const PRESETS = {
+        'web-safe': { label: 'Web-safe (216)', build: webSafe },
+        'grayscale': { label: 'Grayscale', build: grayscale },
+        'gameboy': { label: 'Game Boy (4)', build: () => GAME_BOY.map(c => c.slice()) },
+    };
+
+    // `colors` only matters for presets whose size is adjustable (grayscale)
+    function preset(name, colors) {
+        const entry = PRESETS[name];
+        if (!entry) throw new Error(`Unknown palette "${name}"`);
+        return entry.build(colors);
+    }
+
+    /* ── Import ── */
+    function parseGpl(text) {
+        const lines = text.split(/\r?\n/);
+        if (!/^GIMP Palette/.test(lines[0])) throw new Error('Not a GIMP palette (.gpl) file');
+
+        const palette = [];
+        for (const line of lines.slice(1)) {
+            const m = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})/);
+            if (m) palette.push([+m[1], +m[2], +m[3]].map(v => Math.min(255, v)));
+        }
+        return palette;
+    }
+
+    function parseAct(bytes) {
+        if (bytes.length < 768) throw new Error('Adobe Color Table (.act) files are 768 or 772 bytes');
+        let count = 256;
+        if (bytes.length >= 772) {
+            const n = (bytes[768] << 8) | bytes[769];
+            if (n > 0 && n <= 256) count = n;
+        }
+        const palette = [];
+        for (let i = 0; i < count; i++) palette.push([bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]]);
+        return palette;
+    }
+
+    function parseJson(text) {
+        const list = JSON.parse(text);
+        if (!Array.isArray(list)) throw new Error('Expected a JSON array of swatches');
+        return list.map(s => {
+            const hex = typeof s === 'string' ? s : s.hex;
+            if (hex && /^#?[0-9a-f]{6}$/i.test(hex)) {
+                const v = parseInt(hex.replace('#', ''), 16);
+                return [v >> 16, (v >> 8) & 0xff, v & 0xff];
+            }
+            if (s && Array.isArray(s.rgb)) return s.rgb.slice(0, 3);
+            throw new Error('Unrecognised swatch in JSON palette');
+        });
+    }
+
+    /**
+     * Read a palette file (.gpl, .act or .json), picked by extension.
+     * Returns a Promise of [[r, g, b], …] with 1–256 entries.
+     */
+    async function parse(file) {
+        const name = (file.name || '').toLowerCase();
+        let palette;
+        if (name.endsWith('.act')) palette = parseAct(new Uint8Array(await file.arrayBuffer()));
+        else if (name.endsWith('.gpl')) palette = parseGpl(await file.text());
+        else if (name.endsWith('.json')) palette = parseJson(await file.text());
+        else throw new Error('Palette files must be .gpl, .act or .json');
+
+        if (!palette.length) throw new Error('The palette file has no colours');
+        return palette.slice(0, 256);
+    }
+
+    /* ── Export ── */
+    const hex = ([r, g, b]) => '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+
+    const FORMATS = {
+        gpl: { type: 'text/plain', ext: 'gpl' },
+        act: { type: 'application/octet-stream', ext: 'act' },
+        json: { type: 'application/json', ext: 'json' },
+    };
+
+    /**
+     * Write a palette as a Blob in one of FORMATS ('gpl', 'act' or 'json').
+     * `name` ends up in the .gpl header.
+     */
+    function serialize(palette, format, name = 'GIF palette') {
+        if (format === 'gpl') {
+            const lines = ['GIMP Palette', `Name: ${name}`, 'Columns: 16', '#'];
+            palette.forEach((c, i) => {
+                lines.push(`${c.map(v => String(v).padStart(3)).join(' ')}\t${hex(c)} (${i})`);
+            });
+            return new Blob([lines.join('\n') + '\n'], { type: FORMATS.gpl.type });
+        }
+        if (format === 'act') {
+            // 256 RGB triples, then the colour count and "no transparent index"
+            const bytes = new Uint8Array(772);
+            palette.slice(0, 256).forEach(([r, g, b], i) => bytes.set([r, g, b], i * 3));
+            bytes.set([palette.length >> 8, palette.length & 0xff, 0xff, 0xff], 768);
+            return new Blob([bytes], { type: FORMATS.act.type });
+        }
+        if (format === 'json') {
+            const swatches = palette.map(c => ({ hex: hex(c), rgb: c }));
+            return new Blob([JSON.stringify(swatches, null, 2)], { type: FORMATS.json.type });
+        }
+        throw new Error(`Unknown palette format "${format}"`);
+    }
+
+    return { PRESETS, FORMATS, preset, parse, serialize };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = GifPalette;
@@ -1,15 +1,41 @@
 /**
- * GIF Spoofer — converts any image to a single-frame static .gif
+ * GIF Spoofer — converts any image to a static .gif, or a sequence of
+ * images / a short video to an animated .gif
  *
  * Uses manual GIF89a binary construction — zero external dependencies.
- * The GIF specification is simple enough for single-frame images:
+ * The GIF specification is simple enough to write by hand:
  *   Header  →  Logical Screen Descriptor  →  Global Color Table
- *   →  Image Descriptor  →  LZW Compressed Data  →  Trailer
+ *   →  [NETSCAPE2.0 loop extension]  →  [other application extensions]
+ *   →  per frame: Graphic Control Extension  →  Image Descriptor
+ *      →  [Local Color Table]  →  LZW Compressed Data
+ *   →  Trailer
+ *
+ * The heavy lifting (quantize → map → LZW compress) runs in gif-worker.js
+ * when Workers are available, so big photos don't freeze the page.
+ * encodeImage() / encodeBytes() are the same encoder without any DOM:
+ * plain { width, height, data } in, GIF bytes out — usable from Node too.
  */
 
 const GifSpoofer = (() => {
-    /* ── LZW-compress pixel indices for GIF ── */
-    function lzwEncode(indices, minCodeSize) {
+    // Resolved against this script so the page can live in any directory
+    const WORKER_URL = typeof document !== 'undefined' && document.currentScript
+        ? new URL('gif-worker.js', document.currentScript.src).href
+        : 'gif-worker.js';
+
+    const noop = () => {};
+
+    /* ── LZW-compress pixel indices for GIF ──
+     * The code table is a trie flattened into one array: the child of
+     * `prefix` on symbol `k` lives at (prefix << 8) | k. Instead of wiping
+     * the 1M-entry table on every clear code, each entry is stamped with the
+     * table generation it was written in and stale stamps read as empty.
+     */
+    const TRIE_SIZE = 4096 << 8;
+    let trieCodes = null;   // allocated on first use (4 MB together)
+    let trieStamps = null;
+    let trieGeneration = 0;
+
+    function lzwEncode(indices, minCodeSize, report = noop) {
         const clearCode = 1 << minCodeSize;
         const eoiCode = clearCode + 1;
 
@@ -17,13 +43,22 @@ const GifSpoofer = (() => {
         let nextCode = eoiCode + 1;
         const maxTableSize = 4096;
 
-        // Build initial table
-        let table = new Map();
-        for (let i = 0; i < clearCode; i++) {
-            table.set(String(i), i);
+        if (!trieCodes) {
+            trieCodes = new Uint16Array(TRIE_SIZE);
+            trieStamps = new Uint16Array(TRIE_SIZE);
         }
 
-        const output = [];
+        const resetTable = () => {
+            if (++trieGeneration > 0xffff) {
+                trieStamps.fill(0);
+                trieGeneration = 1;
+            }
+        };
+        resetTable();
+
+        // Growable output buffer (worst case is ~1.5 bytes per pixel)
+        let output = new Uint8Array(Math.max(1024, indices.length >> 1));
+        let outLen = 0;
         let buffer = 0;
         let bufferLen = 0;
 
@@ -31,7 +66,12 @@ const GifSpoofer = (() => {
             buffer |= code << bufferLen;
             bufferLen += size;
             while (bufferLen >= 8) {
-                output.push(buffer & 0xff);
+                if (outLen === output.length) {
+                    const grown = new Uint8Array(output.length * 2);
+                    grown.set(output);
+                    output = grown;
+                }
+                output[outLen++] = buffer & 0xff;
                 buffer >>= 8;
                 bufferLen -= 8;
             }
@@ -39,29 +79,29 @@ const GifSpoofer = (() => {
 
         writeBits(clearCode, codeSize);
 
-        let w = String(indices[0]);
+        // Single symbols are their own codes, so w starts as the first index
+        let w = indices[0];
 
         for (let i = 1; i < indices.length; i++) {
-            const k = String(indices[i]);
-            const wk = w + ',' + k;
+            if ((i & 0xffff) === 0) report(i / indices.length);
+            const k = indices[i];
+            const key = (w << 8) | k;
 
-            if (table.has(wk)) {
-                w = wk;
+            if (trieStamps[key] === trieGeneration) {
+                w = trieCodes[key];
             } else {
-                writeBits(table.get(w), codeSize);
+                writeBits(w, codeSize);
 
                 if (nextCode < maxTableSize) {
-                    table.set(wk, nextCode++);
+                    trieCodes[key] = nextCode++;
+                    trieStamps[key] = trieGeneration;
                     if (nextCode > (1 << codeSize) && codeSize < 12) {
                         codeSize++;
                     }
                 } else {
                     // Table full → clear
                     writeBits(clearCode, codeSize);
-                    table = new Map();
-                    for (let j = 0; j < clearCode; j++) {
-                        table.set(String(j), j);
-                    }
+                    resetTable();
                     nextCode = eoiCode + 1;
                     codeSize = minCodeSize + 1;
                 }
@@ -70,30 +110,172 @@ const GifSpoofer = (() => {
             }
         }
 
-        writeBits(table.get(w), codeSize);
+        writeBits(w, codeSize);
         writeBits(eoiCode, codeSize);
 
-        if (bufferLen > 0) output.push(buffer & 0xff);
+        if (bufferLen > 0) writeBits(0, 8 - bufferLen);
+
+        return output.slice(0, outLen);
+    }
+
+    /* ── Nearest palette colour ──
+     * RGB space is split into 16×16×16 cells. The first time a colour lands
+     * in a cell, we work out which palette entries could possibly be nearest
+     * to anything inside it (an entry is kept if its closest possible
+     * distance to the cell beats every entry's farthest one) and cache that
+     * short candidate list. Each lookup then scans a handful of entries
+     * instead of all 256. Ties resolve to the lowest index, like a linear scan.
+     *
+     * For big images every exact colour also remembers its answer, so repeats
+     * skip the scan altogether. That table is shared across calls like the
+     * LZW trie: each entry packs (generation << 8) | index and entries from
+     * an older generation read as unseen. Small images don't use it, and
+     * neither do images where colours hardly repeat (noise, heavy grain):
+     * the lookups saved there don't pay for touching a 32 MB table.
+     */
+    const CELL_BITS = 4;
+    const CELL_SHIFT = 8 - CELL_BITS;
+    const CELL_SIZE = 1 << CELL_SHIFT;
+    const EXACT_MIN_PIXELS = 1 << 18;
+    const EXACT_PROBE = 1 << 16;    // misses before judging the hit rate
+    let exactTable = null;  // allocated on first big image (32 MB)
+    let exactGeneration = 0;
+
+    function makeNearest(palette, count, pixelCount) {
+        const pr = new Int32Array(count), pg = new Int32Array(count), pb = new Int32Array(count);
+        for (let i = 0; i < count; i++) {
+            [pr[i], pg[i], pb[i]] = palette[i];
+        }
+
+        const cells = new Array(1 << (CELL_BITS * 3));
+
+        let exact = null, stamp = 0, misses = 0, hits = 0;
+        if (pixelCount >= EXACT_MIN_PIXELS) {
+            if (!exactTable) exactTable = new Uint16Array(1 << 24);
+            if (++exactGeneration > 0xff) {
+                exactTable.fill(0);
+                exactGeneration = 1;
+            }
+            exact = exactTable;
+            stamp = exactGeneration << 8;
+        }
+
+        // Distance along one axis from v to the nearest / farthest edge of [lo, lo + CELL_SIZE - 1]
+        const nearGap = (v, lo) => v < lo ? lo - v : v > lo + CELL_SIZE - 1 ? v - (lo + CELL_SIZE - 1) : 0;
+        const farGap = (v, lo) => Math.max(Math.abs(v - lo), Math.abs(v - (lo + CELL_SIZE - 1)));
+
+        function buildCell(r0, g0, b0) {
+            const minDist = new Int32Array(count);
+            let bound = Infinity;
+            for (let i = 0; i < count; i++) {
+                const nr = nearGap(pr[i], r0), ng = nearGap(pg[i], g0), nb = nearGap(pb[i], b0);
+                minDist[i] = nr * nr + ng * ng + nb * nb;
+                const fr = farGap(pr[i], r0), fg = farGap(pg[i], g0), fb = farGap(pb[i], b0);
+                bound = Math.min(bound, fr * fr + fg * fg + fb * fb);
+            }
+            const candidates = [];
+            for (let i = 0; i < count; i++) {
+                if (minDist[i] <= bound) candidates.push(i);
+            }
+            return Int16Array.from(candidates);
+        }
+
+        return function nearest(r, g, b) {
+            r = Math.round(r); g = Math.round(g); b = Math.round(b);
+            const rgb = (r << 16) | (g << 8) | b;
+            if (exact) {
+                const known = exact[rgb];
+                if ((known & 0xff00) === stamp) {
+                    hits++;
+                    return known & 0xff;
+                }
+                // Under one hit per four misses → give up on the table for this image
+                if (++misses === EXACT_PROBE && hits < EXACT_PROBE / 4) exact = null;
+            }
+
+            const cr = r >> CELL_SHIFT, cg = g >> CELL_SHIFT, cb = b >> CELL_SHIFT;
+            const key = (cr << (CELL_BITS * 2)) | (cg << CELL_BITS) | cb;
+            const candidates = cells[key] ||
+                (cells[key] = buildCell(cr << CELL_SHIFT, cg << CELL_SHIFT, cb << CELL_SHIFT));
 
-        return new Uint8Array(output);
+            let bestIdx = candidates[0], bestDist = Infinity;
+            for (let j = 0; j < candidates.length; j++) {
+                const c = candidates[j];
+                const dr = r - pr[c], dg = g - pg[c], db = b - pb[c];
+                const d = dr * dr + dg * dg + db * db;
+                if (d < bestDist) { bestDist = d; bestIdx = c; }
+            }
+            if (exact) exact[rgb] = stamp | bestIdx;
+            return bestIdx;
+        };
     }
 
-    /* ── Median-cut colour quantisation to 256 colours ── */
-    function quantize(imageData) {
+    /* ── Dithering ──
+     * Error-diffusion kernels list [dx, dy, weight] taps relative to the
+     * current pixel; the ordered mode uses an 8×8 Bayer threshold matrix.
+     */
+    const DIFFUSION = {
+        'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+        atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+    };
+
+    const BAYER8 = (() => {
+        const m = [[0]];
+        let n = 1;
+        while (n < 8) {
+            // Recursive Bayer construction: M(2n) = [[4M, 4M+2], [4M+3, 4M+1]]
+            const next = [];
+            for (let y = 0; y < n * 2; y++) {
+                next.push([]);
+                for (let x = 0; x < n * 2; x++) {
+                    const base = 4 * m[y % n][x % n];
+                    next[y].push(base + [[0, 2], [3, 1]][y < n ? 0 : 1][x < n ? 0 : 1]);
+                }
+            }
+            m.splice(0, m.length, ...next);
+            n *= 2;
+        }
+        return m.map(row => row.map(v => (v + 0.5) / 64 - 0.5)); // centred on 0
+    })();
+
+    // Spread of the ordered-dither offset in 0–255 units at full strength
+    const BAYER_SPREAD = 32;
+
+    const DITHER_MODES = ['none', 'floyd-steinberg', 'atkinson', 'bayer'];
+
+    /* ── Median-cut colour quantisation ──
+     * options.dither         — one of DITHER_MODES (default 'none')
+     * options.ditherStrength — 0–1 scale for the error / threshold (default 1)
+     * options.transparent    — add one palette slot after the colours for transparency
+     * options.alphaThreshold — pixels with alpha below this become transparent (default 128)
+     * options.colors         — palette size from 2 to 256, including the
+     *                          transparent slot (default 256)
+     * options.palette        — fixed [[r, g, b], …] to map onto instead of
+     *                          median cut (up to 256 entries; `colors` is ignored)
+     *
+     * Returns { palette, indices, transparentIndex } where palette has one
+     * entry per colour plus the transparent slot (if any), and
+     * transparentIndex is -1 unless transparency is enabled. `report(phase, fraction)` is called as the 'quantize' and
+     * 'map' phases progress.
+     */
+    function quantize(imageData, options = {}, report = noop) {
+        const { dither = 'none', ditherStrength = 1, transparent = false, alphaThreshold = 128, colors = 256 } = options;
         const { data, width, height } = imageData;
         const pixelCount = width * height;
+        const isClear = i => transparent && data[i * 4 + 3] < alphaThreshold;
 
-        // Gather unique-ish pixels (sample if huge image)
+        // Gather unique-ish pixels (sample if huge image), skipping transparent ones
         const sampleStep = pixelCount > 100000 ? Math.floor(pixelCount / 50000) : 1;
         const samples = [];
         for (let i = 0; i < pixelCount; i += sampleStep) {
+            if (isClear(i)) continue;
             const off = i * 4;
             samples.push([data[off], data[off + 1], data[off + 2]]);
         }
 
-        // Median-cut
-        function medianCut(pixels, depth) {
-            if (depth === 0 || pixels.length === 0) {
+        // Median-cut into `count` boxes; uneven counts split the pixels in proportion
+        function medianCut(pixels, count) {
+            if (count <= 1 || pixels.length === 0) {
                 // Average colour
                 let r = 0, g = 0, b = 0;
                 for (const p of pixels) { r += p[0]; g += p[1]; b += p[2]; }
@@ -112,44 +294,206 @@ const GifSpoofer = (() => {
             const ch = rangeR >= rangeG && rangeR >= rangeB ? 0 : rangeG >= rangeB ? 1 : 2;
 
             pixels.sort((a, b) => a[ch] - b[ch]);
-            const mid = pixels.length >> 1;
+            const left = count >> 1;
+            const mid = Math.floor(pixels.length * left / count);
 
             return [
-                ...medianCut(pixels.slice(0, mid), depth - 1),
-                ...medianCut(pixels.slice(mid), depth - 1),
+                ...medianCut(pixels.slice(0, mid), left),
+                ...medianCut(pixels.slice(mid), count - left),
             ];
         }
 
-        const palette = medianCut(samples, 8); // up to 256 colours
-        while (palette.length < 256) palette.push([0, 0, 0]);
-        palette.length = 256;
+        report('quantize', 0);
+        let palette;
+        if (options.palette) {
+            palette = options.palette.slice(0, transparent ? 255 : 256).map(([r, g, b]) => [r, g, b]);
+        } else {
+            // Images with few distinct colours leave boxes empty: pad with black to the requested size
+            const size = Math.max(2, Math.min(256, Math.round(colors) || 256)) - (transparent ? 1 : 0);
+            palette = medianCut(samples, size);
+            while (palette.length < size) palette.push([0, 0, 0]);
+        }
+
+        // Transparency gets its own slot after the colours, so it is never searched
+        const colorCount = palette.length;
+        const transparentIndex = transparent ? colorCount : -1;
+        if (transparent) palette.push([0, 0, 0]);
+
+        const nearest = makeNearest(palette, colorCount, pixelCount);
 
-        // Map every pixel to nearest palette index
         const indices = new Uint8Array(pixelCount);
-        for (let i = 0; i < pixelCount; i++) {
-            const off = i * 4;
-            const pr = data[off], pg = data[off + 1], pb = data[off + 2];
-            let bestIdx = 0, bestDist = Infinity;
-            for (let c = 0; c < 256; c++) {
-                const dr = pr - palette[c][0], dg = pg - palette[c][1], db = pb - palette[c][2];
-                const d = dr * dr + dg * dg + db * db;
-                if (d < bestDist) { bestDist = d; bestIdx = c; }
+        const kernel = DIFFUSION[dither];
+
+        if (kernel && ditherStrength > 0) {
+            // Error diffusion: carry quantisation error into a ring of row buffers
+            // (padded by 2 px each side so taps never need bounds checks)
+            const rowsAhead = Math.max(...kernel.map(t => t[1])) + 1;
+            const stride = (width + 4) * 3;
+            const rows = Array.from({ length: rowsAhead }, () => new Float32Array(stride));
+
+            for (let y = 0; y < height; y++) {
+                report('map', y / height);
+                const err = rows[0];
+                for (let x = 0; x < width; x++) {
+                    // Transparent pixels neither take nor pass on error
+                    if (isClear(y * width + x)) {
+                        indices[y * width + x] = transparentIndex;
+                        continue;
+                    }
+
+                    const off = (y * width + x) * 4;
+                    const e = (x + 2) * 3;
+                    const r = Math.min(255, Math.max(0, data[off] + err[e]));
+                    const g = Math.min(255, Math.max(0, data[off + 1] + err[e + 1]));
+                    const b = Math.min(255, Math.max(0, data[off + 2] + err[e + 2]));
+
+                    const idx = nearest(r, g, b);
+                    indices[y * width + x] = idx;
+
+                    const er = (r - palette[idx][0]) * ditherStrength;
+                    const eg = (g - palette[idx][1]) * ditherStrength;
+                    const eb = (b - palette[idx][2]) * ditherStrength;
+                    for (const [dx, dy, w] of kernel) {
+                        const t = (x + 2 + dx) * 3;
+                        const row = rows[dy];
+                        row[t] += er * w;
+                        row[t + 1] += eg * w;
+                        row[t + 2] += eb * w;
+                    }
+                }
+                // Rotate: the finished row becomes the (cleared) furthest-ahead row
+                const done = rows.shift();
+                done.fill(0);
+                rows.push(done);
+            }
+        } else if (dither === 'bayer' && ditherStrength > 0) {
+            const spread = BAYER_SPREAD * ditherStrength;
+            for (let y = 0; y < height; y++) {
+                report('map', y / height);
+                const thresholds = BAYER8[y & 7];
+                for (let x = 0; x < width; x++) {
+                    if (isClear(y * width + x)) {
+                        indices[y * width + x] = transparentIndex;
+                        continue;
+                    }
+
+                    const off = (y * width + x) * 4;
+                    const t = thresholds[x & 7] * spread;
+                    indices[y * width + x] = nearest(
+                        Math.min(255, Math.max(0, data[off] + t)),
+                        Math.min(255, Math.max(0, data[off + 1] + t)),
+                        Math.min(255, Math.max(0, data[off + 2] + t)),
+                    );
+                }
+            }
+        } else {
+            // Map every pixel to nearest palette index
+            for (let i = 0; i < pixelCount; i++) {
+                if ((i & 0xffff) === 0) report('map', i / pixelCount);
+                const off = i * 4;
+                indices[i] = isClear(i) ? transparentIndex : nearest(data[off], data[off + 1], data[off + 2]);
             }
-            indices[i] = bestIdx;
         }
 
-        return { palette, indices };
+        return { palette, indices, transparentIndex };
+    }
+
+    /* ── Helpers ── */
+    // Little-endian 16-bit
+    const le16 = v => [v & 0xff, (v >> 8) & 0xff];
+
+    // GIF disposal methods (Graphic Control Extension, bits 2–4)
+    const DISPOSAL = { none: 0, keep: 1, background: 2, previous: 3 };
+
+    // Colour tables hold 2^bits entries (bits 1–8); this is also the LZW code size floor
+    function tableBits(palette) {
+        return Math.max(1, Math.ceil(Math.log2(palette.length)));
     }
 
-    /* ── Build GIF binary ── */
-    function buildGif(imageData) {
-        const { width, height } = imageData;
-        const { palette, indices } = quantize(imageData);
+    // Palette padded with black up to the table size
+    function colorTable(palette, bits) {
+        const table = new Uint8Array(3 << bits);
+        palette.forEach(([r, g, b], i) => {
+            table[i * 3] = r;
+            table[i * 3 + 1] = g;
+            table[i * 3 + 2] = b;
+        });
+        return table;
+    }
+
+    // Fixed-width ASCII field, space-padded
+    function ascii(text, length) {
+        return text.padEnd(length).slice(0, length).split('').map(c => c.charCodeAt(0));
+    }
 
+    // Data as ≤ 255-byte sub-blocks plus the block terminator
+    function subBlocks(bytes) {
         const parts = [];
+        for (let offset = 0; offset < bytes.length; offset += 255) {
+            const chunk = bytes.subarray(offset, offset + 255);
+            parts.push(new Uint8Array([chunk.length]), chunk);
+        }
+        parts.push(new Uint8Array([0x00]));
+        return parts;
+    }
+
+    // Share of each frame's work per phase, used to turn phase fractions into overall progress
+    const PHASES = { quantize: [0, 0.1], map: [0.1, 0.6], compress: [0.7, 0.3] };
+
+    /* ── Build GIF binary ──
+     * `frames` is a list of { imageData, delay?, disposal? } that all share
+     * the same dimensions. A single frame produces the classic static GIF;
+     * more frames produce an animation where frame 0 uses the global colour
+     * table and every later frame carries its own local colour table —
+     * unless options.palette is fixed, in which case all frames share the
+     * global one. Table sizes and the LZW code size follow the palette size.
+     *
+     * options.onProgress({ phase, frame, frames, progress }) receives overall
+     * progress in 0–1, throttled to whole-percent steps.
+     * options.onPalette(palette) receives the first frame's colours (without
+     * the transparent slot), e.g. for exporting them.
+     * options.onIndices({ palette, indices, transparentIndex }) receives the
+     * first frame right after quantising; it may change the indices in place,
+     * or append colours, before anything is written (the Secret Encoder hides
+     * bits in index parity this way). Headless entry points only: functions
+     * can't be sent to the worker.
+     * options.applications — extra application extensions to write after the
+     * loop extension: [{ identifier (8 chars), auth (3 chars), data: Uint8Array }].
+     *
+     * A generator: it yields after every frame and returns the GIF as a
+     * Uint8Array, so the main-thread fallback can pause between frames.
+     * Run it in one go with runSteps().
+     */
+    function* buildGif(frames, options = {}) {
+        const { width, height } = frames[0].imageData;
+        const animated = frames.length > 1;
+        const onProgress = options.onProgress || noop;
+
+        let lastPercent = -1;
+        const reporter = frame => (phase, fraction) => {
+            const [start, weight] = PHASES[phase];
+            const progress = (frame + start + weight * fraction) / frames.length;
+            const percent = Math.floor(progress * 100);
+            if (percent === lastPercent) return;
+            lastPercent = percent;
+            onProgress({ phase, frame, frames: frames.length, progress });
+        };
+        const {
+            delay = animated ? 100 : 0,           // ms
+            disposal = animated ? 'keep' : 'none',
+            loop = 0,                             // 0 = forever, null = play once
+        } = options;
 
-        // Helper: little-endian 16-bit
-        const le16 = v => [v & 0xff, (v >> 8) & 0xff];
+        const parts = [];
+        const shared = !!options.palette;
+
+        // Quantise the first frame up front: its palette becomes the Global Color Table
+        const first = quantize(frames[0].imageData, options, reporter(0));
+        if (options.onIndices) options.onIndices(first);
+        const globalBits = tableBits(first.palette);
+        if (options.onPalette) {
+            options.onPalette(first.transparentIndex >= 0 ? first.palette.slice(0, -1) : first.palette);
+        }
 
         // Header
         parts.push(new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61])); // GIF89a
@@ -157,83 +501,407 @@ const GifSpoofer = (() => {
         // Logical Screen Descriptor
         parts.push(new Uint8Array([
             ...le16(width), ...le16(height),
-            0xf7,  // GCT flag, 8-bit colour
+            0xf0 | (globalBits - 1),  // GCT flag, 8-bit colour resolution, GCT size
             0x00,  // bg colour index
             0x00,  // pixel aspect ratio
         ]));
 
-        // Global Color Table (256 × 3)
-        const gct = new Uint8Array(768);
-        for (let i = 0; i < 256; i++) {
-            gct[i * 3] = palette[i][0];
-            gct[i * 3 + 1] = palette[i][1];
-            gct[i * 3 + 2] = palette[i][2];
+        // Global Color Table (2^bits × 3)
+        parts.push(colorTable(first.palette, globalBits));
+
+        // NETSCAPE2.0 application extension → loop count
+        if (animated && loop !== null) {
+            parts.push(new Uint8Array([
+                0x21, 0xff, 0x0b,                 // Extension Introducer, Application Label, Block Size
+                ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)),
+                0x03, 0x01, ...le16(loop),        // Sub-block: id 1, loop count
+                0x00                              // Block Terminator
+            ]));
         }
-        parts.push(gct);
 
-        // Graphic Control Extension explicitly disables transparency
-        // Fixes an issue on Discord where it might treat the Background Color Index (0) as transparent
-        parts.push(new Uint8Array([
-            0x21, 0xf9, 0x04, // Extension Introducer, Graphic Control Label, Block Size
-            0x00,             // Packed Fields: no transparency (bit 0 is 0)
-            0x00, 0x00,       // Delay Time
-            0x00,             // Transparent Color Index (ignored)
-            0x00              // Block Terminator
-        ]));
+        for (const { identifier, auth, data } of options.applications || []) {
+            parts.push(new Uint8Array([
+                0x21, 0xff, 0x0b,                 // Extension Introducer, Application Label, Block Size
+                ...ascii(identifier, 8), ...ascii(auth, 3),
+            ]));
+            parts.push(...subBlocks(data));
+        }
 
-        // Image Descriptor
-        parts.push(new Uint8Array([
-            0x2c,
-            ...le16(0), ...le16(0),     // left, top
-            ...le16(width), ...le16(height),
-            0x00,  // no local colour table
-        ]));
+        for (let i = 0; i < frames.length; i++) {
+            const frame = frames[i];
+            const report = reporter(i);
+            const { palette, indices, transparentIndex } = i === 0 ? first : quantize(frame.imageData, options, report);
+            const frameDisposal = DISPOSAL[frame.disposal || disposal] || 0;
+            const frameDelay = Math.round((frame.delay !== undefined ? frame.delay : delay) / 10);
+            const hasAlpha = transparentIndex >= 0;
+
+            // Graphic Control Extension explicitly disables transparency unless opted in
+            // Fixes an issue on Discord where it might treat the Background Color Index (0) as transparent
+            parts.push(new Uint8Array([
+                0x21, 0xf9, 0x04,                       // Extension Introducer, Graphic Control Label, Block Size
+                (frameDisposal << 2) | (hasAlpha ? 1 : 0), // Packed Fields: disposal method, transparency flag (bit 0)
+                ...le16(frameDelay),                    // Delay Time (1/100 s)
+                hasAlpha ? transparentIndex : 0x00,     // Transparent Color Index (ignored when flag is 0)
+                0x00                                    // Block Terminator
+            ]));
+
+            // Later frames get a Local Color Table unless every frame shares the fixed palette
+            const local = i > 0 && !shared;
+            const bits = local ? tableBits(palette) : globalBits;
+
+            // Image Descriptor
+            parts.push(new Uint8Array([
+                0x2c,
+                ...le16(0), ...le16(0),     // left, top
+                ...le16(width), ...le16(height),
+                local ? 0x80 | (bits - 1) : 0x00,  // LCT flag + size, or use the global table
+            ]));
+
+            if (local) parts.push(colorTable(palette, bits));
+
+            // LZW Minimum Code Size — at least 2, even for 2-colour tables
+            const minCodeSize = Math.max(2, bits);
+            parts.push(new Uint8Array([minCodeSize]));
+
+            // Image data sub-blocks
+            const compressed = lzwEncode(indices, minCodeSize, fraction => report('compress', fraction));
+            parts.push(...subBlocks(compressed));
+            yield;
+        }
 
-        // LZW Minimum Code Size
-        const minCodeSize = 8;
-        parts.push(new Uint8Array([minCodeSize]));
+        // Trailer
+        parts.push(new Uint8Array([0x3b]));
+        onProgress({ phase: 'done', frame: frames.length - 1, frames: frames.length, progress: 1 });
 
-        // Image data sub-blocks
-        const compressed = lzwEncode(indices, minCodeSize);
+        const bytes = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
         let offset = 0;
-        while (offset < compressed.length) {
-            const chunkSize = Math.min(255, compressed.length - offset);
-            parts.push(new Uint8Array([chunkSize]));
-            parts.push(compressed.subarray(offset, offset + chunkSize));
-            offset += chunkSize;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
         }
+        return bytes;
+    }
 
-        // Block terminator
-        parts.push(new Uint8Array([0x00]));
+    /* ── Area-averaging downscale (pure JS, so it also works inside the worker) ── */
+    function resample(imageData, width, height) {
+        const { data: src, width: sw, height: sh } = imageData;
+        const out = new Uint8ClampedArray(width * height * 4);
+        const fx = sw / width, fy = sh / height;
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.floor(y * fy), y1 = Math.max(y0 + 1, Math.floor((y + 1) * fy));
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.floor(x * fx), x1 = Math.max(x0 + 1, Math.floor((x + 1) * fx));
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const o = (sy * sw + sx) * 4;
+                        r += src[o]; g += src[o + 1]; b += src[o + 2]; a += src[o + 3];
+                    }
+                }
+                const n = (y1 - y0) * (x1 - x0);
+                const o = (y * width + x) * 4;
+                out[o] = r / n; out[o + 1] = g / n; out[o + 2] = b / n; out[o + 3] = a / n;
+            }
+        }
 
-        // Trailer
-        parts.push(new Uint8Array([0x3b]));
+        return { width, height, data: out };
+    }
+
+    /* ── Fit under a byte budget ──
+     * Re-encodes with fewer colours (when close to the target) or smaller
+     * dimensions (when far off) until the GIF is at most options.maxBytes.
+     * options.onFit({ width, height, colors, bytes, attempts, fitted }) gets
+     * the settings that were finally used; if nothing fits within
+     * MAX_FIT_ATTEMPTS the smallest attempt is returned with fitted = false.
+     * A fixed options.palette is never reduced, only the dimensions.
+     * A generator, like buildGif().
+     */
+    const MAX_FIT_ATTEMPTS = 8;
+    const MIN_FIT_COLORS = 16;
+
+    function* buildGifToFit(frames, options) {
+        const { maxBytes, onFit = noop, onProgress = noop, onPalette = noop } = options;
+        const { width, height } = frames[0].imageData;
+        let scale = 1;
+        let colors = options.colors || 256;
+        let best = null;
+
+        for (let attempt = 1; attempt <= MAX_FIT_ATTEMPTS; attempt++) {
+            const w = Math.max(1, Math.round(width * scale));
+            const h = Math.max(1, Math.round(height * scale));
+            const sized = scale === 1 ? frames : frames.map(f => ({ ...f, imageData: resample(f.imageData, w, h) }));
+
+            let palette = null;
+            const gif = yield* buildGif(sized, {
+                ...options,
+                colors,
+                onProgress: p => onProgress({ ...p, attempt }),
+                onPalette: p => { palette = p; },
+            });
+            const result = {
+                gif, palette, width: w, height: h,
+                colors: options.palette ? palette.length : colors,
+                bytes: gif.length, attempts: attempt,
+            };
+            if (!best || gif.length < best.bytes) best = result;
+            if (gif.length <= maxBytes) break;
+
+            const ratio = maxBytes / gif.length;
+            if (ratio > 0.75 && colors > MIN_FIT_COLORS && !options.palette) {
+                colors /= 2;        // close: fewer colours is the gentler change
+            } else {
+                scale *= Math.max(0.3, Math.sqrt(ratio) * 0.92);  // bytes scale roughly with pixel count
+            }
+        }
+
+        const { gif, palette, ...settings } = best;
+        onPalette(palette);
+        onFit({ ...settings, fitted: best.bytes <= maxBytes });
+        return gif;
+    }
+
+    /**
+     * Headless entry points — no DOM, no workers, synchronous.
+     * encodeBytes(frames, options): frames as for buildGif(), where each
+     *   imageData is any { width, height, data } with RGBA bytes in `data`.
+     * encodeImage(image, options): a single { width, height, data } image.
+     * Both take the options listed under Public API (minus signal) and
+     * return the GIF file as a Uint8Array.
+     */
+    function encodeBytes(frames, options = {}) {
+        return runSteps(encodeSteps(frames, options));
+    }
+
+    function encodeImage(image, options = {}) {
+        return encodeBytes([{ imageData: image }], options);
+    }
+
+    function encodeSteps(frames, options) {
+        return options.maxBytes ? buildGifToFit(frames, options) : buildGif(frames, options);
+    }
+
+    function runSteps(steps) {
+        let step;
+        while (!(step = steps.next()).done);
+        return step.value;
+    }
 
-        return new Blob(parts, { type: 'image/gif' });
+    // Entry point for the worker
+    function encode(frames, options = {}) {
+        return new Blob([encodeBytes(frames, options)], { type: 'image/gif' });
     }
 
-    /* ── Public API ── */
-    function convert(file) {
+    /* ── Frame sources (images + sampled video) ── */
+    function isVideo(file) {
+        if (file.type && file.type.startsWith('video/')) return true;
+        return /\.(mp4|webm|mov|m4v|ogv)$/i.test(file.name || '');
+    }
+
+    function loadImage(file) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => {
+                URL.revokeObjectURL(img.src);
+                resolve(img);
+            };
+            img.onerror = () => reject(new Error(`Failed to load image ${file.name || ''}`.trim()));
+            img.src = URL.createObjectURL(file);
+        });
+    }
+
+    function loadVideo(file) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'auto';
+            video.onloadeddata = () => resolve(video);
+            video.onerror = () => reject(new Error(`Failed to load video ${file.name || ''}`.trim()));
+            video.src = URL.createObjectURL(file);
+        });
+    }
+
+    function seek(video, time) {
+        return new Promise(resolve => {
+            video.onseeked = () => resolve();
+            video.currentTime = time;
+        });
+    }
+
+    // Fit (w, h) inside a maxSize × maxSize box, never upscaling
+    function fitSize(w, h, maxSize) {
+        const scale = maxSize ? Math.min(1, maxSize / Math.max(w, h)) : 1;
+        return { width: Math.max(1, Math.round(w * scale)), height: Math.max(1, Math.round(h * scale)) };
+    }
+
+    // Draw a source centred ("contain") on a width × height canvas —
+    // letterboxed in black, or left clear when keeping transparency
+    function rasterize(source, sw, sh, width, height, transparent) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (!transparent) {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+        }
+        const scale = Math.min(width / sw, height / sh);
+        const dw = sw * scale, dh = sh * scale;
+        ctx.drawImage(source, (width - dw) / 2, (height - dh) / 2, dw, dh);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /* ── Worker hand-off ── */
+    function abortError() {
+        return new DOMException('GIF conversion cancelled', 'AbortError');
+    }
+
+    // Main-thread fallback: lets the page breathe between frames and stops there when aborted
+    async function encodeOnMainThread(frames, options, signal) {
+        const steps = encodeSteps(frames, options);
+        let step;
+        while (!(step = steps.next()).done) {
+            await new Promise(resolve => setTimeout(resolve));
+            if (signal && signal.aborted) throw abortError();
+        }
+        return new Blob([step.value], { type: 'image/gif' });
+    }
+
+    /**
+     * Encode frames in gif-worker.js, falling back to the main thread when a
+     * Worker can't be created or its script fails to load (e.g. the page is
+     * opened from file://). Frames are only sent once the worker says it's
+     * ready; from then on the ImageData buffers are transferred, so callers
+     * must not reuse them.
+     */
+    function runEncoder(frames, options = {}) {
+        const { signal, onProgress = noop, onFit = noop, onPalette = noop, ...encodeOptions } = options;
+        if (signal && signal.aborted) return Promise.reject(abortError());
+
+        const fallback = () => encodeOnMainThread(frames, { ...encodeOptions, onProgress, onFit, onPalette }, signal);
+
+        let worker;
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (err) {
+            return fallback();
+        }
+
+        return new Promise((resolve, reject) => {
+            let ready = false;
+            const onAbort = () => {
+                finish();
+                reject(abortError());
+            };
+            const finish = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            worker.onmessage = ({ data: msg }) => {
+                if (msg.type === 'ready') {
+                    ready = true;
+                    worker.postMessage({ frames, options: encodeOptions }, frames.map(f => f.imageData.data.buffer));
+                } else if (msg.type === 'progress') {
+                    onProgress(msg.progress);
+                } else if (msg.type === 'fit') {
+                    onFit(msg.fit);
+                } else if (msg.type === 'palette') {
+                    onPalette(msg.palette);
+                } else if (msg.type === 'done') {
+                    finish();
+                    resolve(msg.blob);
+                } else if (msg.type === 'error') {
+                    finish();
+                    reject(new Error(msg.message));
+                }
+            };
+            worker.onerror = e => {
+                finish();
+                if (ready) {
+                    reject(new Error(e.message || 'GIF worker failed'));
+                } else {
+                    // The script never loaded: the frames are still ours to encode here
+                    e.preventDefault();
+                    fallback().then(resolve, reject);
+                }
+            };
+        });
+    }
+
+    /* ── Public API ──
+     * Encoding options shared by convert / convertAnimated:
+     *   dither, ditherStrength, transparent, alphaThreshold — see quantize()
+     *   colors, palette — see quantize()
+     *   maxBytes, onFit — see buildGifToFit()
+     *   onProgress, onPalette, applications — see buildGif()
+     *   signal     — AbortSignal; aborting rejects with an AbortError
+     * Transparency is off by default: the opaque output is the Discord-safe one.
+     */
+    function convert(file, options = {}) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(img.src);
                 const canvas = document.createElement('canvas');
                 canvas.width = img.naturalWidth;
                 canvas.height = img.naturalHeight;
                 const ctx = canvas.getContext('2d');
                 ctx.drawImage(img, 0, 0);
                 const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                try {
-                    const gifBlob = buildGif(imageData);
-                    resolve(gifBlob);
-                } catch (err) {
-                    reject(err);
-                }
+                runEncoder([{ imageData }], options).then(resolve, reject);
             };
             img.onerror = () => reject(new Error('Failed to load image'));
             img.src = URL.createObjectURL(file);
         });
     }
 
-    return { convert };
+    /**
+     * Build an animated GIF from several sources.
+     * `sources` is a list of { file, delay? } — image files become one frame
+     * each, video files are sampled at `fps`. Every frame is letterboxed to
+     * the size of the first one (capped to `maxSize` on its longest side).
+     */
+    async function convertAnimated(sources, options = {}) {
+        const { delay = 100, fps = 10, maxSize = 480, maxFrames = 300 } = options;
+        const frames = [];
+        let size = null;
+
+        const addFrame = (source, sw, sh, frameDelay) => {
+            if (!size) size = fitSize(sw, sh, maxSize);
+            const imageData = rasterize(source, sw, sh, size.width, size.height, options.transparent);
+            frames.push({ imageData, delay: frameDelay });
+        };
+
+        for (const { file, delay: itemDelay } of sources) {
+            if (frames.length >= maxFrames) break;
+            if (options.signal && options.signal.aborted) throw abortError();
+
+            if (isVideo(file)) {
+                const video = await loadVideo(file);
+                try {
+                    const count = Math.min(maxFrames - frames.length, Math.max(1, Math.floor(video.duration * fps)));
+                    for (let i = 0; i < count; i++) {
+                        await seek(video, i / fps);
+                        addFrame(video, video.videoWidth, video.videoHeight, Math.round(1000 / fps));
+                    }
+                } finally {
+                    URL.revokeObjectURL(video.src);
+                }
+            } else {
+                const img = await loadImage(file);
+                addFrame(img, img.naturalWidth, img.naturalHeight, itemDelay !== undefined ? itemDelay : delay);
+            }
+        }
+
+        if (!frames.length) throw new Error('No frames to encode');
+
+        return runEncoder(frames, options);
+    }
+
+    return { convert, convertAnimated, encode, encodeBytes, encodeImage, isVideo, DITHER_MODES };
 })();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = GifSpoofer;
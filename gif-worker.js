@@ -0,0 +1,28 @@
+/**
+ * GIF Worker — runs GifSpoofer.encode off the main thread.
+ *
+ * In:   { frames: [{ imageData, delay?, disposal? }], options }
+ * Out:  { type: 'ready' }                (once loaded; frames are sent after it)
+ *       { type: 'progress', progress }   (see buildGif's onProgress)
+ *       { type: 'fit', fit }             (see buildGifToFit's onFit)
+ *       { type: 'palette', palette }     (see buildGif's onPalette)
+ *       { type: 'done', blob }
+ *       { type: 'error', message }
+ */
+
+importScripts('gif-spoofer.js');
+self.postMessage({ type: 'ready' });
+
+self.onmessage = ({ data: { frames, options } }) => {
+    try {
+        const blob = GifSpoofer.encode(frames, {
+            ...options,
+            onProgress: progress => self.postMessage({ type: 'progress', progress }),
+            onFit: fit => self.postMessage({ type: 'fit', fit }),
+            onPalette: palette => self.postMessage({ type: 'palette', palette }),
+        });
+        self.postMessage({ type: 'done', blob });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,557 @@
+/**
+ * JPEG Codec — baseline JPEG at the level of quantised DCT coefficients
+ *
+ * Reads and writes JPEG files without canvas, so code that works on the
+ * coefficients themselves (the Secret Encoder's JPEG mode) can take them
+ * from a file, change them and write them back untouched otherwise.
+ *   read()      JPEG bytes → coefficients (baseline Huffman, any sampling, restarts)
+ *   write()     coefficients → baseline JPEG, with the standard Huffman tables
+ *   fromImage() RGBA pixels → coefficients (4:4:4 YCbCr, IJG quality scaling)
+ *   toImage()   coefficients → RGBA pixels
+ *
+ * A decoded JPEG is { width, height, components, quant, coeffs, mcusX, mcusY }:
+ *   components: [{ id, h, v, tq, blocksW, blocksH, offset }] — each component's
+ *     blocks cover whole MCUs, stored row by row from `offset` in coeffs
+ *   quant: 64-entry tables by id, in zigzag order
+ *   coeffs: Int16Array, 64 per block in zigzag order (index 0 is DC)
+ *   SOI → [APPn] → DQT → SOF0 → DHT → [DRI] → SOS → entropy-coded data → EOI
+ */
+
+const JpegCodec = (() => {
+    // Natural (row-major) index of each zigzag position
+    const ZIGZAG = [
+        0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+        12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+        35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+        58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+    ];
+
+    /* ── Standard tables (ITU T.81 Annex K) ── */
+    const LUMA_QUANT = [
+        16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+        14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+        18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+        49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99,
+    ];
+    const CHROMA_QUANT = [
+        17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+        24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+        ...new Array(32).fill(99),
+    ];
+
+    const AC_LUMA_VALUES = [
+        0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+        0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+        0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+        0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+        0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+        0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+        0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+        0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+        0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+        0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa,
+    ];
+    const AC_CHROMA_VALUES = [
+        0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+        0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+        0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+        0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+        0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+        0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+        0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+        0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+        0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+        0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+        0xf9, 0xfa,
+    ];
+
+    // Code counts per length 1–16, then the symbols in code order
+    const HUFFMAN = {
+        dcLuma: { counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+        dcChroma: { counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+        acLuma: { counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d], symbols: AC_LUMA_VALUES },
+        acChroma: { counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77], symbols: AC_CHROMA_VALUES },
+    };
+
+    // IJG quality scaling: 50 is the table as printed, 100 is all ones
+    function scaleQuant(table, quality) {
+        const q = Math.min(100, Math.max(1, Math.round(quality)));
+        const scale = q < 50 ? 5000 / q : 200 - 2 * q;
+        // Stored in zigzag order, like DQT
+        return ZIGZAG.map(n => Math.min(255, Math.max(1, Math.floor((table[n] * scale + 50) / 100))));
+    }
+
+    /* ── DCT ── */
+    // BASIS[u * 8 + x] = C(u) / 2 · cos((2x + 1)uπ / 16)
+    const BASIS = new Float64Array(64);
+    for (let u = 0; u < 8; u++) {
+        for (let x = 0; x < 8; x++) {
+            BASIS[u * 8 + x] = (u ? 0.5 : Math.SQRT1_2 / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+        }
+    }
+
+    // 8×8 samples (row-major) → coefficients (row-major)
+    function forwardDct(block, out) {
+        const tmp = new Float64Array(64);
+        for (let y = 0; y < 8; y++) {
+            for (let u = 0; u < 8; u++) {
+                let sum = 0;
+                for (let x = 0; x < 8; x++) sum += BASIS[u * 8 + x] * block[y * 8 + x];
+                tmp[y * 8 + u] = sum;
+            }
+        }
+        for (let v = 0; v < 8; v++) {
+            for (let u = 0; u < 8; u++) {
+                let sum = 0;
+                for (let y = 0; y < 8; y++) sum += BASIS[v * 8 + y] * tmp[y * 8 + u];
+                out[v * 8 + u] = sum;
+            }
+        }
+    }
+
+    function inverseDct(coef, out) {
+        const tmp = new Float64Array(64);
+        for (let v = 0; v < 8; v++) {
+            for (let x = 0; x < 8; x++) {
+                let sum = 0;
+                for (let u = 0; u < 8; u++) sum += BASIS[u * 8 + x] * coef[v * 8 + u];
+                tmp[v * 8 + x] = sum;
+            }
+        }
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                let sum = 0;
+                for (let v = 0; v < 8; v++) sum += BASIS[v * 8 + y] * tmp[v * 8 + x];
+                out[y * 8 + x] = sum;
+            }
+        }
+    }
+
+    /* ── Layout helpers ── */
+    function layoutComponents(width, height, components) {
+        const hMax = Math.max(...components.map(c => c.h));
+        const vMax = Math.max(...components.map(c => c.v));
+        const mcusX = Math.ceil(width / (8 * hMax));
+        const mcusY = Math.ceil(height / (8 * vMax));
+        let offset = 0;
+        for (const c of components) {
+            c.blocksW = mcusX * c.h;
+            c.blocksH = mcusY * c.v;
+            // Blocks that hold image data; the rest only pad out the last MCUs
+            c.usedW = Math.ceil(Math.ceil((width * c.h) / hMax) / 8);
+            c.usedH = Math.ceil(Math.ceil((height * c.v) / vMax) / 8);
+            c.offset = offset;
+            offset += c.blocksW * c.blocksH * 64;
+        }
+        return { mcusX, mcusY, hMax, vMax, size: offset };
+    }
+
+    /* ── Pixels → coefficients ──
+     * quality 1–100 (default 90). Every component is sampled 1×1 (4:4:4).
+     */
+    function fromImage(image, quality = 90) {
+        const { width, height, data } = image;
+        const components = [
+            { id: 1, h: 1, v: 1, tq: 0 },
+            { id: 2, h: 1, v: 1, tq: 1 },
+            { id: 3, h: 1, v: 1, tq: 1 },
+        ];
+        const { mcusX, mcusY, size } = layoutComponents(width, height, components);
+        const quant = [scaleQuant(LUMA_QUANT, quality), scaleQuant(CHROMA_QUANT, quality)];
+        const coeffs = new Int16Array(size);
+
+        const samples = new Float64Array(64);
+        const dct = new Float64Array(64);
+        for (let by = 0; by < mcusY; by++) {
+            for (let bx = 0; bx < mcusX; bx++) {
+                for (let ci = 0; ci < 3; ci++) {
+                    // Edge pixels are repeated into blocks that stick out past the image
+                    for (let y = 0; y < 8; y++) {
+                        const py = Math.min(height - 1, by * 8 + y);
+                        for (let x = 0; x < 8; x++) {
+                            const px = Math.min(width - 1, bx * 8 + x);
+                            const i = (py * width + px) * 4;
+                            const r = data[i], g = data[i + 1], b = data[i + 2];
+                            samples[y * 8 + x] = ci === 0
+                                ? 0.299 * r + 0.587 * g + 0.114 * b - 128
+                                : ci === 1
+                                    ? -0.168736 * r - 0.331264 * g + 0.5 * b
+                                    : 0.5 * r - 0.418688 * g - 0.081312 * b;
+                        }
+                    }
+                    forwardDct(samples, dct);
+                    const c = components[ci];
+                    const table = quant[c.tq];
+                    const base = c.offset + (by * c.blocksW + bx) * 64;
+                    for (let k = 0; k < 64; k++) coeffs[base + k] = Math.round(dct[ZIGZAG[k]] / table[k]);
+                }
+            }
+        }
+        return { width, height, components, quant, coeffs, mcusX, mcusY };
+    }
+
+    /* ── Coefficients → pixels ── */
+    function toImage(jpeg) {
+        const { width, height, components, quant, coeffs } = jpeg;
+        const hMax = Math.max(...components.map(c => c.h));
+        const vMax = Math.max(...components.map(c => c.v));
+
+        // Decode each component into its own sample plane
+        const planes = components.map(c => {
+            const planeW = c.blocksW * 8;
+            const plane = new Float32Array(planeW * c.blocksH * 8);
+            const table = quant[c.tq];
+            const coef = new Float64Array(64);
+            const out = new Float64Array(64);
+            for (let by = 0; by < c.blocksH; by++) {
+                for (let bx = 0; bx < c.blocksW; bx++) {
+                    const base = c.offset + (by * c.blocksW + bx) * 64;
+                    coef.fill(0);
+                    for (let k = 0; k < 64; k++) coef[ZIGZAG[k]] = coeffs[base + k] * table[k];
+                    inverseDct(coef, out);
+                    for (let y = 0; y < 8; y++) {
+                        for (let x = 0; x < 8; x++) plane[(by * 8 + y) * planeW + bx * 8 + x] = out[y * 8 + x] + 128;
+                    }
+                }
+            }
+            return { plane, planeW, sx: c.h / hMax, sy: c.v / vMax };
+        });
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        const sample = (p, x, y) => p.plane[Math.floor(y * p.sy) * p.planeW + Math.floor(x * p.sx)];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const luma = sample(planes[0], x, y);
+                if (planes.length < 3) {
+                    data[i] = data[i + 1] = data[i + 2] = luma;
+                } else {
+                    const cb = sample(planes[1], x, y) - 128;
+                    const cr = sample(planes[2], x, y) - 128;
+                    data[i] = luma + 1.402 * cr;
+                    data[i + 1] = luma - 0.344136 * cb - 0.714136 * cr;
+                    data[i + 2] = luma + 1.772 * cb;
+                }
+                data[i + 3] = 255;
+            }
+        }
+        return { width, height, data };
+    }
+
+    /* ── Huffman tables ── */
+    // Encoder side: code and length per symbol
+    function huffmanCodes({ counts, symbols }) {
+        const codes = new Map();
+        let code = 0;
+        let k = 0;
+        for (let len = 1; len <= 16; len++) {
+            for (let i = 0; i < counts[len - 1]; i++) codes.set(symbols[k++], { code: code++, len });
+            code <<= 1;
+        }
+        return codes;
+    }
+
+    // Decoder side: canonical code ranges per length
+    function huffmanDecoder({ counts, symbols }) {
+        const maxCode = new Int32Array(18).fill(-1);
+        const minCode = new Int32Array(17);
+        const firstIndex = new Int32Array(17);
+        let code = 0;
+        let k = 0;
+        for (let len = 1; len <= 16; len++) {
+            firstIndex[len] = k;
+            minCode[len] = code;
+            code += counts[len - 1];
+            k += counts[len - 1];
+            if (counts[len - 1]) maxCode[len] = code - 1;
+            code <<= 1;
+        }
+        return { maxCode, minCode, firstIndex, symbols };
+    }
+
+    const bitLength = n => (n ? 32 - Math.clz32(n) : 0);
+
+    /* ── Writing ── */
+    function write(jpeg) {
+        const { width, height, components, quant, coeffs, mcusX, mcusY } = jpeg;
+        const bytes = [];
+        const u16 = n => bytes.push(n >> 8, n & 0xff);
+        const segment = (marker, body) => {
+            bytes.push(0xff, marker);
+            u16(body.length + 2);
+            bytes.push(...body);
+        };
+
+        bytes.push(0xff, 0xd8);
+        // JFIF 1.01, no density, no thumbnail
+        segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+        quant.forEach((table, id) => {
+            if (table) segment(0xdb, [id, ...table]);
+        });
+        segment(0xc0, [
+            8, height >> 8, height & 0xff, width >> 8, width & 0xff, components.length,
+            ...components.flatMap(c => [c.id, (c.h << 4) | c.v, c.tq]),
+        ]);
+
+        // Luma uses table 0, chroma table 1
+        const tables = [
+            { dc: HUFFMAN.dcLuma, ac: HUFFMAN.acLuma },
+            { dc: HUFFMAN.dcChroma, ac: HUFFMAN.acChroma },
+        ].slice(0, components.length > 1 ? 2 : 1);
+        tables.forEach((t, id) => {
+            segment(0xc4, [id, ...t.dc.counts, ...t.dc.symbols]);
+            segment(0xc4, [0x10 | id, ...t.ac.counts, ...t.ac.symbols]);
+        });
+        const codes = tables.map(t => ({ dc: huffmanCodes(t.dc), ac: huffmanCodes(t.ac) }));
+        const tableOf = i => codes[Math.min(i, codes.length - 1)];
+
+        segment(0xda, [
+            components.length,
+            ...components.flatMap((c, i) => [c.id, (Math.min(i, 1) << 4) | Math.min(i, 1)]),
+            0, 63, 0,
+        ]);
+
+        // Entropy-coded data, with 0xFF bytes stuffed
+        let acc = 0;
+        let accBits = 0;
+        const put = (code, len) => {
+            for (let i = len - 1; i >= 0; i--) {
+                acc = (acc << 1) | ((code >> i) & 1);
+                if (++accBits === 8) {
+                    bytes.push(acc);
+                    if (acc === 0xff) bytes.push(0);
+                    acc = 0;
+                    accBits = 0;
+                }
+            }
+        };
+        const putValue = (value, size) => put(value < 0 ? value + (1 << size) - 1 : value, size);
+        const putSymbol = (table, symbol) => {
+            const { code, len } = table.get(symbol);
+            put(code, len);
+        };
+
+        const predictors = new Array(components.length).fill(0);
+        for (let my = 0; my < mcusY; my++) {
+            for (let mx = 0; mx < mcusX; mx++) {
+                components.forEach((c, ci) => {
+                    const t = tableOf(ci);
+                    for (let v = 0; v < c.v; v++) {
+                        for (let h = 0; h < c.h; h++) {
+                            const base = c.offset + ((my * c.v + v) * c.blocksW + mx * c.h + h) * 64;
+                            const diff = coeffs[base] - predictors[ci];
+                            predictors[ci] = coeffs[base];
+                            const dcSize = bitLength(Math.abs(diff));
+                            putSymbol(t.dc, dcSize);
+                            if (dcSize) putValue(diff, dcSize);
+
+                            let run = 0;
+                            for (let k = 1; k < 64; k++) {
+                                const value = coeffs[base + k];
+                                if (!value) { run++; continue; }
+                                for (; run > 15; run -= 16) putSymbol(t.ac, 0xf0);
+                                const size = bitLength(Math.abs(value));
+                                putSymbol(t.ac, (run << 4) | size);
+                                putValue(value, size);
+                                run = 0;
+                            }
+                            if (run) putSymbol(t.ac, 0x00);
+                        }
+                    }
+                });
+            }
+        }
+        // Pad the last byte with ones
+        if (accBits) put(0x7f, 8 - accBits);
+        bytes.push(0xff, 0xd9);
+        return new Uint8Array(bytes);
+    }
+
+    /* ── Reading ── */
+    function read(input) {
+        const data = input instanceof Uint8Array ? input : new Uint8Array(input);
+        if (data[0] !== 0xff || data[1] !== 0xd8) throw new Error('Not a JPEG file.');
+
+        const quant = [];
+        const dcTables = [];
+        const acTables = [];
+        let frame = null;
+        let restartInterval = 0;
+        let pos = 2;
+        const u16 = at => (data[at] << 8) | data[at + 1];
+
+        while (pos < data.length) {
+            if (data[pos] !== 0xff) { pos++; continue; }
+            const marker = data[pos + 1];
+            if (marker === 0xff) { pos++; continue; } // fill byte
+            pos += 2;
+            if (marker === 0xd9) break;
+            if (marker >= 0xd0 && marker <= 0xd7) continue;
+
+            const length = u16(pos);
+            const end = pos + length;
+            let p = pos + 2;
+            switch (marker) {
+                case 0xdb: // DQT
+                    while (p < end) {
+                        const precision = data[p] >> 4;
+                        const id = data[p] & 15;
+                        p++;
+                        const table = [];
+                        for (let k = 0; k < 64; k++) {
+                            table.push(precision ? u16(p) : data[p]);
+                            p += precision ? 2 : 1;
+                        }
+                        quant[id] = table;
+                    }
+                    break;
+                case 0xc4: // DHT
+                    while (p < end) {
+                        const cls = data[p] >> 4;
+                        const id = data[p] & 15;
+                        const counts = Array.from(data.subarray(p + 1, p + 17));
+                        const total = counts.reduce((a, b) => a + b, 0);
+                        const symbols = Array.from(data.subarray(p + 17, p + 17 + total));
+                        (cls ? acTables : dcTables)[id] = huffmanDecoder({ counts, symbols });
+                        p += 17 + total;
+                    }
+                    break;
+                case 0xdd: // DRI
+                    restartInterval = u16(p);
+                    break;
+                case 0xc0:
+                case 0xc1: { // baseline / extended sequential, Huffman
+                    if (data[p] !== 8) throw new Error('Only 8-bit JPEGs are supported.');
+                    const height = u16(p + 1);
+                    const width = u16(p + 3);
+                    const components = [];
+                    for (let i = 0; i < data[p + 5]; i++) {
+                        const q = p + 6 + i * 3;
+                        components.push({ id: data[q], h: data[q + 1] >> 4, v: data[q + 1] & 15, tq: data[q + 2] });
+                    }
+                    if (components.length !== 1 && components.length !== 3) {
+                        throw new Error('Only greyscale and YCbCr JPEGs are supported.');
+                    }
+                    const layout = layoutComponents(width, height, components);
+                    frame = { width, height, components, coeffs: new Int16Array(layout.size), ...layout };
+                    break;
+                }
+                case 0xda: // SOS
+                    if (!frame) throw new Error('Scan before frame header.');
+                    pos = decodeScan(data, p, frame, dcTables, acTables, restartInterval);
+                    continue;
+                default:
+                    if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                        throw new Error('Only baseline JPEGs are supported (this one is progressive or arithmetic-coded).');
+                    }
+                    // APPn, COM and friends are skipped
+            }
+            pos = end;
+        }
+        if (!frame) throw new Error('The JPEG has no image.');
+        const { width, height, components, coeffs, mcusX, mcusY } = frame;
+        return { width, height, components, quant, coeffs, mcusX, mcusY };
+    }
+
+    // Decode one scan starting at its SOS header; returns the position after its data
+    function decodeScan(data, p, frame, dcTables, acTables, restartInterval) {
+        const count = data[p];
+        const scan = [];
+        for (let i = 0; i < count; i++) {
+            const component = frame.components.find(c => c.id === data[p + 1 + i * 2]);
+            const sel = data[p + 2 + i * 2];
+            scan.push({ component, dc: dcTables[sel >> 4], ac: acTables[sel & 15], pred: 0 });
+        }
+        let pos = p + 1 + count * 2 + 3;
+
+        let acc = 0;
+        let accBits = 0;
+        const bit = () => {
+            if (!accBits) {
+                const byte = data[pos];
+                // A marker ends the data: feed zeros rather than run into it
+                if (byte === 0xff && data[pos + 1] !== 0) {
+                    acc = 0;
+                } else {
+                    acc = byte;
+                    pos += byte === 0xff ? 2 : 1;
+                }
+                accBits = 8;
+            }
+            return (acc >> --accBits) & 1;
+        };
+        const receive = n => {
+            let v = 0;
+            for (let i = 0; i < n; i++) v = (v << 1) | bit();
+            return v;
+        };
+        const extend = (v, n) => (v < 1 << (n - 1) ? v - (1 << n) + 1 : v);
+        const decodeSymbol = table => {
+            let code = 0;
+            for (let len = 1; len <= 16; len++) {
+                code = (code << 1) | bit();
+                if (code <= table.maxCode[len]) return table.symbols[table.firstIndex[len] + code - table.minCode[len]];
+            }
+            throw new Error('Corrupt JPEG data (bad Huffman code).');
+        };
+
+        const coeffs = frame.coeffs;
+        const decodeBlock = (s, base) => {
+            const dcSize = decodeSymbol(s.dc);
+            s.pred += dcSize ? extend(receive(dcSize), dcSize) : 0;
+            coeffs[base] = s.pred;
+            for (let k = 1; k < 64;) {
+                const rs = decodeSymbol(s.ac);
+                const run = rs >> 4;
+                const size = rs & 15;
+                if (!size) {
+                    if (run !== 15) break; // EOB
+                    k += 16;
+                    continue;
+                }
+                k += run;
+                if (k > 63) throw new Error('Corrupt JPEG data (coefficient past the block).');
+                coeffs[base + k] = extend(receive(size), size);
+                k++;
+            }
+        };
+
+        // Interleaved scans go MCU by MCU; a single-component scan block by block
+        const single = scan.length === 1 ? scan[0].component : null;
+        const units = single ? single.usedW * single.usedH : frame.mcusX * frame.mcusY;
+        for (let n = 0; n < units; n++) {
+            if (restartInterval && n && n % restartInterval === 0) {
+                accBits = 0;
+                while (pos < data.length && !(data[pos] === 0xff && data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7)) pos++;
+                pos += 2;
+                scan.forEach(s => { s.pred = 0; });
+            }
+            if (single) {
+                const bx = n % single.usedW;
+                const by = Math.floor(n / single.usedW);
+                decodeBlock(scan[0], single.offset + (by * single.blocksW + bx) * 64);
+                continue;
+            }
+            const mx = n % frame.mcusX;
+            const my = Math.floor(n / frame.mcusX);
+            for (const s of scan) {
+                const c = s.component;
+                for (let v = 0; v < c.v; v++) {
+                    for (let h = 0; h < c.h; h++) {
+                        decodeBlock(s, c.offset + ((my * c.v + v) * c.blocksW + mx * c.h + h) * 64);
+                    }
+                }
+            }
+        }
+
+        // Skip to the next marker
+        accBits = 0;
+        while (pos < data.length && !(data[pos] === 0xff && data[pos + 1] !== 0 && !(data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7))) pos++;
+        return pos;
+    }
+
+    return { read, write, fromImage, toImage, ZIGZAG };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = JpegCodec;
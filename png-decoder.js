@@ -0,0 +1,323 @@
+/**
+ * PNG Decoder — decodes PNG files to RGBA without canvas or any dependency
+ *
+ * Works anywhere JavaScript runs (page, worker, Node), so the GIF encoder
+ * can be scripted and tested headlessly. Supports every standard PNG:
+ * greyscale / RGB / palette / grey + alpha / RGBA, bit depths 1–16,
+ * tRNS transparency and Adam7 interlacing. 16-bit samples are scaled to 8.
+ *   Signature  →  IHDR  →  [PLTE]  →  [tRNS]  →  IDAT*  →  IEND
+ * IDAT data is a zlib stream, inflated by the small decoder below.
+ */
+
+const PngDecoder = (() => {
+    /* ── Inflate (RFC 1950 zlib wrapper around RFC 1951 deflate) ── */
+    const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    // Order in which code-length code lengths are stored in a dynamic block header
+    const CLEN_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    // Canonical Huffman table: how many codes of each length, and the symbols in code order
+    function huffman(lengths) {
+        const counts = new Uint16Array(16);
+        for (const len of lengths) counts[len]++;
+        counts[0] = 0;
+
+        const offsets = new Uint16Array(16);
+        for (let len = 1; len < 16; len++) offsets[len] = offsets[len - 1] + counts[len - 1];
+
+        const symbols = new Uint16Array(lengths.length);
+        lengths.forEach((len, symbol) => { if (len) symbols[offsets[len]++] = symbol; });
+        return { counts, symbols };
+    }
+
+    let fixedTables = null;
+
+    function fixedHuffman() {
+        if (!fixedTables) {
+            const lit = new Array(288);
+            lit.fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+            fixedTables = { lit: huffman(lit), dist: huffman(new Array(30).fill(5)) };
+        }
+        return fixedTables;
+    }
+
+    function inflate(input) {
+        let pos = 2; // skip the zlib header (CMF, FLG)
+        if ((input[0] & 0x0f) !== 8) throw new Error('Unsupported PNG compression');
+        if (input[1] & 0x20) throw new Error('PNG image data needs a preset dictionary');
+
+        let out = new Uint8Array(Math.max(1024, input.length * 4));
+        let op = 0;
+        let bitBuf = 0, bitCount = 0;
+
+        const ensure = n => {
+            if (op + n <= out.length) return;
+            const grown = new Uint8Array(Math.max(out.length * 2, op + n));
+            grown.set(out);
+            out = grown;
+        };
+        const bits = n => {
+            while (bitCount < n) {
+                if (pos >= input.length) throw new Error('Truncated PNG image data');
+                bitBuf |= input[pos++] << bitCount;
+                bitCount += 8;
+            }
+            const v = bitBuf & ((1 << n) - 1);
+            bitBuf >>>= n;
+            bitCount -= n;
+            return v;
+        };
+        // Codes are read bit by bit, MSB first, walking the per-length counts
+        const decodeSymbol = ({ counts, symbols }) => {
+            let code = 0, first = 0, index = 0;
+            for (let len = 1; len < 16; len++) {
+                code |= bits(1);
+                const count = counts[len];
+                if (code - first < count) return symbols[index + code - first];
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('Corrupt PNG image data');
+        };
+
+        let final;
+        do {
+            final = bits(1);
+            const type = bits(2);
+
+            if (type === 0) {
+                // Stored: byte-align, then LEN / NLEN and raw bytes
+                bitBuf = 0;
+                bitCount = 0;
+                const len = input[pos] | (input[pos + 1] << 8);
+                pos += 4;
+                if (pos + len > input.length) throw new Error('Truncated PNG image data');
+                ensure(len);
+                out.set(input.subarray(pos, pos + len), op);
+                op += len;
+                pos += len;
+                continue;
+            }
+
+            let lit, dist;
+            if (type === 1) {
+                ({ lit, dist } = fixedHuffman());
+            } else if (type === 2) {
+                const hlit = bits(5) + 257;
+                const hdist = bits(5) + 1;
+                const hclen = bits(4) + 4;
+                const clens = new Array(19).fill(0);
+                for (let i = 0; i < hclen; i++) clens[CLEN_ORDER[i]] = bits(3);
+                const clen = huffman(clens);
+
+                const lengths = [];
+                while (lengths.length < hlit + hdist) {
+                    const sym = decodeSymbol(clen);
+                    if (sym < 16) lengths.push(sym);
+                    else if (sym === 16) lengths.push(...new Array(3 + bits(2)).fill(lengths[lengths.length - 1]));
+                    else if (sym === 17) lengths.push(...new Array(3 + bits(3)).fill(0));
+                    else lengths.push(...new Array(11 + bits(7)).fill(0));
+                }
+                lit = huffman(lengths.slice(0, hlit));
+                dist = huffman(lengths.slice(hlit, hlit + hdist));
+            } else {
+                throw new Error('Corrupt PNG image data');
+            }
+
+            for (;;) {
+                const sym = decodeSymbol(lit);
+                if (sym < 256) {
+                    ensure(1);
+                    out[op++] = sym;
+                } else if (sym === 256) {
+                    break;
+                } else {
+                    const li = sym - 257;
+                    const length = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+                    const di = decodeSymbol(dist);
+                    const distance = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+                    if (distance > op) throw new Error('Corrupt PNG image data');
+                    ensure(length);
+                    for (let i = 0; i < length; i++, op++) out[op] = out[op - distance];
+                }
+            }
+        } while (!final);
+
+        return out.subarray(0, op);
+    }
+
+    /* ── CRC-32, checked on every chunk ── */
+    let crcTable = null;
+
+    function crc32(bytes, start, end) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /* ── Scanline filters ── */
+    function paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+    }
+
+    // Undo the per-row filters in place; returns the offset just past the last row
+    function unfilter(data, offset, rowBytes, rows, bpp) {
+        for (let y = 0; y < rows; y++) {
+            const filter = data[offset];
+            const row = offset + 1;
+            const prev = y > 0 ? row - rowBytes - 1 : -1;
+            for (let i = 0; i < rowBytes; i++) {
+                const a = i >= bpp ? data[row + i - bpp] : 0;
+                const b = prev >= 0 ? data[prev + i] : 0;
+                const c = prev >= 0 && i >= bpp ? data[prev + i - bpp] : 0;
+                switch (filter) {
+                    case 0: break;
+                    case 1: data[row + i] += a; break;
+                    case 2: data[row + i] += b; break;
+                    case 3: data[row + i] += (a + b) >> 1; break;
+                    case 4: data[row + i] += paeth(a, b, c); break;
+                    default: throw new Error(`Unknown PNG filter type ${filter}`);
+                }
+            }
+            offset = row + rowBytes;
+        }
+        return offset;
+    }
+
+    const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+    // Adam7 passes: [x start, y start, x step, y step]
+    const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+    /**
+     * Decode a PNG file.
+     * Returns { width, height, data } where data is RGBA in a Uint8ClampedArray —
+     * the same shape as canvas ImageData, ready for GifSpoofer.encodeImage().
+     */
+    function decode(input) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+        if (bytes.length < 8 || SIGNATURE.some((v, i) => bytes[i] !== v)) throw new Error('Not a PNG file');
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let header = null, palette = null, trns = null;
+        const idat = [];
+
+        for (let pos = 8; pos + 12 <= bytes.length;) {
+            const length = view.getUint32(pos);
+            const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+            const start = pos + 8, end = start + length;
+            if (end + 4 > bytes.length) throw new Error(`Truncated PNG chunk ${type}`);
+            if (crc32(bytes, pos + 4, end) !== view.getUint32(end)) throw new Error(`Corrupt PNG chunk ${type} (bad CRC)`);
+            const chunk = bytes.subarray(start, end);
+
+            if (type === 'IHDR') {
+                header = {
+                    width: view.getUint32(start),
+                    height: view.getUint32(start + 4),
+                    depth: chunk[8],
+                    colorType: chunk[9],
+                    interlaced: chunk[12] === 1,
+                };
+            } else if (type === 'PLTE') {
+                palette = chunk;
+            } else if (type === 'tRNS') {
+                trns = chunk;
+            } else if (type === 'IDAT') {
+                idat.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+            pos = end + 4;
+        }
+
+        if (!header) throw new Error('PNG has no IHDR chunk');
+        const { width, height, depth, colorType, interlaced } = header;
+        const channels = CHANNELS[colorType];
+        if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}`);
+        if (colorType === 3 && !palette) throw new Error('Palette PNG has no PLTE chunk');
+
+        const compressed = new Uint8Array(idat.reduce((n, c) => n + c.length, 0));
+        let off = 0;
+        for (const c of idat) { compressed.set(c, off); off += c.length; }
+        const raw = inflate(compressed);
+
+        const out = new Uint8ClampedArray(width * height * 4);
+        const bitsPerPixel = channels * depth;
+        const bpp = Math.max(1, bitsPerPixel >> 3);
+        const maxValue = (1 << Math.min(depth, 8)) - 1;
+
+        // tRNS: one colour key for grey / RGB (compared at full depth), alpha per entry for palettes
+        const key = trns && (colorType === 0 || colorType === 2)
+            ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => (trns[i * 2] << 8) | trns[i * 2 + 1])
+            : null;
+
+        // Read sample `i` of a row at any bit depth (16-bit → full value)
+        const sample = (row, i) => {
+            if (depth === 8) return raw[row + i];
+            if (depth === 16) return (raw[row + i * 2] << 8) | raw[row + i * 2 + 1];
+            const bit = i * depth;
+            return (raw[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & maxValue;
+        };
+        const to8 = v => depth === 16 ? Math.round(v / 257) : depth === 8 ? v : Math.round(v * 255 / maxValue);
+
+        function writeRow(row, count, y, x0, dx) {
+            for (let i = 0; i < count; i++) {
+                const o = (y * width + x0 + i * dx) * 4;
+                const s = i * channels;
+                let r, g, b, a = 255;
+                if (colorType === 3) {
+                    const index = sample(row, i);
+                    r = palette[index * 3]; g = palette[index * 3 + 1]; b = palette[index * 3 + 2];
+                    if (trns && index < trns.length) a = trns[index];
+                } else if (colorType === 0 || colorType === 4) {
+                    const v = sample(row, s);
+                    r = g = b = to8(v);
+                    if (colorType === 4) a = to8(sample(row, s + 1));
+                    else if (key && v === key[0]) a = 0;
+                } else {
+                    const rv = sample(row, s), gv = sample(row, s + 1), bv = sample(row, s + 2);
+                    r = to8(rv); g = to8(gv); b = to8(bv);
+                    if (colorType === 6) a = to8(sample(row, s + 3));
+                    else if (key && rv === key[0] && gv === key[1] && bv === key[2]) a = 0;
+                }
+                out[o] = r; out[o + 1] = g; out[o + 2] = b; out[o + 3] = a;
+            }
+        }
+
+        let pos = 0;
+        const passes = interlaced ? ADAM7 : [[0, 0, 1, 1]];
+        for (const [x0, y0, dx, dy] of passes) {
+            const passWidth = Math.ceil((width - x0) / dx);
+            const passHeight = Math.ceil((height - y0) / dy);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+
+            const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+            if (pos + passHeight * (rowBytes + 1) > raw.length) throw new Error('Truncated PNG image data');
+            const end = unfilter(raw, pos, rowBytes, passHeight, bpp);
+            for (let y = 0; y < passHeight; y++) {
+                writeRow(pos + y * (rowBytes + 1) + 1, passWidth, y0 + y * dy, x0, dx);
+            }
+            pos = end;
+        }
+
+        return { width, height, data: out };
+    }
+
+    return { decode, inflate };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = PngDecoder;
@@ -0,0 +1,169 @@
+/**
+ * Reed–Solomon — error correction over GF(256)
+ *
+ * Systematic codes: a codeword is the data followed by `nsym` parity bytes,
+ * at most 255 bytes in all. Up to nsym / 2 damaged bytes anywhere in a
+ * codeword can be found and repaired.
+ *   Field: x⁸ + x⁴ + x³ + x² + 1 (0x11d), generator α = 2, roots α⁰ … α^(nsym−1)
+ *   Decoding: syndromes → Berlekamp–Massey → Chien search → Forney
+ */
+
+const ReedSolomon = (() => {
+    /* ── GF(256) arithmetic via log / antilog tables ── */
+    const EXP = new Uint8Array(512);
+    const LOG = new Uint8Array(256);
+    for (let i = 0, x = 1; i < 255; i++) {
+        EXP[i] = x;
+        LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x11d;
+    }
+    // Doubled so mul() can skip the modulo
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+    const mul = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+    const div = (a, b) => (a ? EXP[LOG[a] + 255 - LOG[b]] : 0);
+    const pow = (e) => EXP[((e % 255) + 255) % 255]; // α^e
+
+    /* ── Polynomials ──
+     * Codewords are highest degree first (byte 0 is the x^(n−1) coefficient);
+     * the locator / evaluator polynomials below are lowest degree first.
+     */
+    const generators = new Map();
+
+    function generator(nsym) {
+        if (!generators.has(nsym)) {
+            let g = [1];
+            for (let i = 0; i < nsym; i++) {
+                // g · (x − αⁱ), highest degree first
+                const next = new Array(g.length + 1).fill(0);
+                for (let j = 0; j < g.length; j++) {
+                    next[j] ^= g[j];
+                    next[j + 1] ^= mul(g[j], pow(i));
+                }
+                g = next;
+            }
+            generators.set(nsym, g);
+        }
+        return generators.get(nsym);
+    }
+
+    function checkSize(length, nsym) {
+        if (!Number.isInteger(nsym) || nsym < 2 || nsym > 254) throw new Error('Parity must be 2–254 bytes.');
+        if (length > 255) throw new Error('Reed–Solomon codewords are at most 255 bytes.');
+    }
+
+    /**
+     * Append `nsym` parity bytes to `data` (at most 255 − nsym bytes).
+     * Returns a new Uint8Array codeword.
+     */
+    function encode(data, nsym) {
+        checkSize(data.length + nsym, nsym);
+        const gen = generator(nsym);
+        const out = new Uint8Array(data.length + nsym);
+        out.set(data);
+        // Long division by the generator; the remainder is the parity
+        for (let i = 0; i < data.length; i++) {
+            const coef = out[i];
+            if (!coef) continue;
+            for (let j = 1; j < gen.length; j++) out[i + j] ^= mul(gen[j], coef);
+        }
+        out.set(data);
+        return out;
+    }
+
+    function syndromes(codeword, nsym) {
+        const synd = new Uint8Array(nsym);
+        for (let i = 0; i < nsym; i++) {
+            const x = pow(i);
+            let s = 0;
+            for (let j = 0; j < codeword.length; j++) s = mul(s, x) ^ codeword[j];
+            synd[i] = s;
+        }
+        return synd;
+    }
+
+    const evaluate = (poly, x) => {
+        let y = 0;
+        for (let i = poly.length - 1; i >= 0; i--) y = mul(y, x) ^ poly[i];
+        return y;
+    };
+
+    // Berlekamp–Massey: the shortest error locator Λ(x) that generates the syndromes
+    function errorLocator(synd) {
+        let locator = [1];
+        let prev = [1];
+        let errors = 0;
+        let shift = 1;
+        let prevDelta = 1;
+
+        for (let n = 0; n < synd.length; n++) {
+            let delta = synd[n];
+            for (let i = 1; i <= errors; i++) delta ^= mul(locator[i] || 0, synd[n - i]);
+
+            if (delta === 0) {
+                shift++;
+                continue;
+            }
+            const scale = div(delta, prevDelta);
+            const next = locator.slice();
+            while (next.length < prev.length + shift) next.push(0);
+            for (let i = 0; i < prev.length; i++) next[i + shift] ^= mul(scale, prev[i]);
+
+            if (2 * errors <= n) {
+                prev = locator;
+                errors = n + 1 - errors;
+                prevDelta = delta;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = next;
+        }
+        return { locator: locator.slice(0, errors + 1), errors };
+    }
+
+    /**
+     * Check and repair a codeword made by encode().
+     * Returns { data, corrected }: the data bytes (a new Uint8Array) and how
+     * many bytes were repaired. Throws when there are too many errors.
+     */
+    function decode(codeword, nsym) {
+        checkSize(codeword.length, nsym);
+        const n = codeword.length;
+        const synd = syndromes(codeword, nsym);
+        if (synd.every(s => s === 0)) return { data: codeword.slice(0, n - nsym), corrected: 0 };
+
+        const { locator, errors } = errorLocator(synd);
+        if (2 * errors > nsym) throw new Error('Too many errors to correct.');
+
+        // Chien search: Λ(α^−p) = 0 where the x^p coefficient is wrong
+        const positions = [];
+        for (let p = 0; p < n; p++) {
+            if (evaluate(locator, pow(-p)) === 0) positions.push(p);
+        }
+        if (positions.length !== errors) throw new Error('Too many errors to correct.');
+
+        // Forney: Ω(x) = S(x)·Λ(x) mod x^nsym, magnitude = Xk·Ω(Xk⁻¹) / Λ′(Xk⁻¹)
+        const omega = new Array(nsym).fill(0);
+        for (let i = 0; i < nsym; i++) {
+            for (let j = 0; j < locator.length && i + j < nsym; j++) omega[i + j] ^= mul(synd[i], locator[j]);
+        }
+        // Formal derivative: in characteristic 2 only the odd terms survive
+        const derivative = locator.slice(1).map((c, i) => (i % 2 === 0 ? c : 0));
+
+        const fixed = codeword.slice();
+        for (const p of positions) {
+            const xInv = pow(-p);
+            const denom = evaluate(derivative, xInv);
+            if (!denom) throw new Error('Too many errors to correct.');
+            fixed[n - 1 - p] ^= mul(pow(p), div(evaluate(omega, xInv), denom));
+        }
+        if (syndromes(fixed, nsym).some(s => s !== 0)) throw new Error('Too many errors to correct.');
+        return { data: fixed.slice(0, n - nsym), corrected: positions.length };
+    }
+
+    return { encode, decode };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ReedSolomon;
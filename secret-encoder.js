@@ -1,135 +1,1248 @@
 /**
  * Secret Encoder — LSB Steganography
  *
- * Hides text in the least-significant bits of R, G, B channels.
- * Format:
- *   - First 32 pixels → 32-bit message byte-length (1 bit per pixel, spread across R channel LSB)
- *   - Remaining pixels → UTF-8 encoded bytes, 3 bits per pixel (1 per R, G, B channel)
+ * Hides a text message or a small file in the low bits of an image's pixels,
+ * filling pixels left to right from the top-left, or in a key-seeded random order.
+ * By default that's one bit of each of R, G and B; up to 4 bits per channel,
+ * and alpha, can be chosen. JPEG mode hides the bits in the image's quantised
+ * DCT coefficients instead, GIF mode in palette indices or a metadata block,
+ * and text mode in invisible characters between the words of a cover text
+ * (see JPEG mode, GIF mode and Text mode below).
+ * The embedded bytes form a small versioned container:
  *
- * Output MUST be PNG (lossless) to preserve the hidden data.
+ *   magic "StG\x1a" (4) · version (1) · flags (1) · layout (1) · parity (1)
+ *   · payload length (4, big-endian) · CRC-32 of the payload (4) · payload
+ *
+ *   flags: bit 0 encrypted · bit 1 compressed (raw deflate) · bits 4–7 payload type (0 = UTF-8 text, 1 = file)
+ *   layout: bits and channels the payload uses (see Layouts below; 0 in JPEG, GIF and text modes)
+ *   parity: Reed–Solomon parity bytes per codeword, 0 = no error correction (see below)
+ *   file payload: name length (2) · name (UTF-8) · MIME length (1) · MIME type · file bytes
+ *
+ * The magic and checksum let decode tell "no message here" apart from
+ * "message damaged". Images from before the container (a bare 32-bit length
+ * in the first 32 red LSBs, then the bytes at 3 bits per pixel) still decode.
+ *
+ * The payload is deflated when that makes it smaller, and with a passphrase
+ * then encrypted (see below), so the LSBs only ever carry ciphertext.
+ *
+ * Pixel mode output MUST be PNG (lossless) to preserve the hidden data, and
+ * decoding images with transparency needs their exact pixels (not a canvas) —
+ * see writePng(). JPEG and GIF modes write their own files, decoded from the file's bytes.
  */
 
 const SecretEncoder = (() => {
 
-    /* ── Encode secret into image ── */
-    function encode(canvas, message) {
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        const totalPixels = canvas.width * canvas.height;
+    /* ── Container header ── */
+    const MAGIC = [0x53, 0x74, 0x47, 0x1a];
+    const VERSION = 3;
+    const HEADER_BYTES = 16;
 
-        // Convert message to UTF-8 bytes
-        const encoder = new TextEncoder();
-        const msgBytes = encoder.encode(message);
-        const msgLen = msgBytes.length;
+    const FLAG_ENCRYPTED = 0x01;
+    const FLAG_COMPRESSED = 0x02;
+    const PAYLOAD_TYPES = { text: 0, file: 1 };
 
-        // Check capacity: 32 header pixels + ceil(msgLen * 8 / 3) data pixels
-        const dataPixelsNeeded = Math.ceil(msgLen * 8 / 3);
-        const totalNeeded = 32 + dataPixelsNeeded;
+    // Errors the UI reacts to carry a `code`
+    function secretError(message, code) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+
+    // CRC-32 (IEEE), over the stored payload bytes and PNG chunks: the one zip-writer.js has
+    const crc32 = bytes => ZipWriter.crc32(bytes);
+
+    function buildHeader(payload, flags, layout, parity) {
+        const out = new Uint8Array(HEADER_BYTES);
+        const view = new DataView(out.buffer);
+        out.set(MAGIC, 0);
+        out[4] = VERSION;
+        out[5] = flags;
+        out[6] = layout;
+        out[7] = parity;
+        view.setUint32(8, payload.length);
+        view.setUint32(12, crc32(payload));
+        return out;
+    }
 
-        if (totalNeeded > totalPixels) {
-            throw new Error(`Message too long. Need ${totalNeeded} pixels but image only has ${totalPixels}.`);
+    // Returns null when there's no container magic (no message, or a legacy image)
+    function parseHeader(bytes) {
+        if (!MAGIC.every((v, i) => bytes[i] === v)) return null;
+        const version = bytes[4];
+        if (version > VERSION) {
+            throw secretError(`This message was made by a newer version of the Secret Encoder (format v${version}).`, 'UNSUPPORTED');
         }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, HEADER_BYTES);
+        return {
+            version,
+            flags: bytes[5],
+            type: bytes[5] >> 4,
+            layout: bytes[6],
+            parity: bytes[7],
+            length: view.getUint32(8),
+            crc: view.getUint32(12),
+        };
+    }
+
+    /* ── Payloads: a string is text, a File / Blob is a file ── */
+    const utf8 = s => new TextEncoder().encode(s);
+
+    function fileMeta(file) {
+        const name = utf8(file.name || 'secret.bin').slice(0, 0xffff);
+        const mime = utf8(file.type || 'application/octet-stream').slice(0, 0xff);
+        return { name, mime };
+    }
+
+    async function toPayload(secret) {
+        if (typeof secret === 'string') return { type: PAYLOAD_TYPES.text, bytes: utf8(secret) };
+
+        const { name, mime } = fileMeta(secret);
+        const data = new Uint8Array(await secret.arrayBuffer());
+        const bytes = new Uint8Array(2 + name.length + 1 + mime.length + data.length);
+        bytes[0] = name.length >> 8;
+        bytes[1] = name.length & 0xff;
+        bytes.set(name, 2);
+        bytes[2 + name.length] = mime.length;
+        bytes.set(mime, 3 + name.length);
+        bytes.set(data, 3 + name.length + mime.length);
+        return { type: PAYLOAD_TYPES.file, bytes };
+    }
 
-        // ── Write 32-bit length header (1 bit per pixel's R channel LSB) ──
-        for (let i = 0; i < 32; i++) {
-            const bit = (msgLen >> (31 - i)) & 1;
-            const off = i * 4; // R channel
-            data[off] = (data[off] & 0xfe) | bit;
+    function fromPayload(type, bytes) {
+        const text = new TextDecoder();
+        if (type === PAYLOAD_TYPES.text) return { type: 'text', text: text.decode(bytes) };
+        if (type !== PAYLOAD_TYPES.file) throw secretError(`Unknown payload type ${type}.`, 'UNSUPPORTED');
+
+        const nameLength = (bytes[0] << 8) | bytes[1];
+        const mimeStart = 2 + nameLength;
+        if (bytes.length < mimeStart + 1 || bytes.length < mimeStart + 1 + bytes[mimeStart]) {
+            throw secretError('The hidden file is truncated.', 'CORRUPT');
         }
+        const dataStart = mimeStart + 1 + bytes[mimeStart];
+        return {
+            type: 'file',
+            name: text.decode(bytes.subarray(2, mimeStart)),
+            mime: text.decode(bytes.subarray(mimeStart + 1, dataStart)),
+            bytes: bytes.slice(dataStart),
+        };
+    }
 
-        // ── Write message bits into R, G, B LSBs (3 bits per pixel) ──
-        // Flatten all message bytes into a bit stream
-        const bits = [];
-        for (let b = 0; b < msgLen; b++) {
-            for (let bit = 7; bit >= 0; bit--) {
-                bits.push((msgBytes[b] >> bit) & 1);
+    /* ── Compression: raw deflate through CompressionStream ──
+     * Kept only when it saves bytes, which short or already-compressed secrets
+     * often don't. It runs before encryption: ciphertext doesn't compress.
+     * Browsers without CompressionStream (or its 'deflate-raw' format) store
+     * the payload as it is, and can't decode compressed messages.
+     */
+    function deflateStream(Stream, format = 'deflate-raw') {
+        if (typeof Stream === 'undefined') return null;
+        try {
+            return new Stream(format);
+        } catch (err) {
+            return null; // an older browser without this format
+        }
+    }
+
+    async function streamThrough(bytes, transform) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+    }
+
+    // The secret as it's stored before encryption, with its type and compression flags
+    async function packPayload(secret) {
+        const { type, bytes } = await toPayload(secret);
+        const compressor = deflateStream(globalThis.CompressionStream);
+        const deflated = compressor ? await streamThrough(bytes, compressor) : bytes;
+        return deflated.length < bytes.length
+            ? { bytes: deflated, flags: (type << 4) | FLAG_COMPRESSED }
+            : { bytes, flags: type << 4 };
+    }
+
+    async function inflate(bytes) {
+        const decompressor = deflateStream(globalThis.DecompressionStream);
+        if (!decompressor) {
+            throw secretError('This message is compressed, and this browser can\'t decompress it.', 'UNSUPPORTED');
+        }
+        try {
+            return await streamThrough(bytes, decompressor);
+        } catch (err) {
+            throw secretError('The hidden message is damaged (it doesn\'t decompress).', 'CORRUPT');
+        }
+    }
+
+    /* ── Passphrase encryption: PBKDF2-SHA-256 → AES-256-GCM (WebCrypto) ──
+     * Encrypted payload layout:
+     *   PBKDF2 iterations (4, big-endian) · salt (16) · IV (12) · ciphertext + tag (16)
+     * GCM's tag authenticates the ciphertext: a wrong passphrase fails loudly instead of giving garbage.
+     * Legacy (pre-container) images marked encrypted payloads with a "\0ENC" prefix instead of a flag.
+     */
+    const LEGACY_ENC_MAGIC = [0x00, 0x45, 0x4e, 0x43];
+    const PBKDF2_ITERATIONS = 250000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const ENCRYPTION_OVERHEAD = 4 + SALT_BYTES + IV_BYTES + 16;
+
+    function subtle() {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Encryption needs WebCrypto — open the page over https or localhost.');
+        }
+        return crypto.subtle;
+    }
+
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle().deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt'],
+        );
+    }
+
+    async function encrypt(bytes, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const cipher = new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv }, key, bytes));
+
+        const out = new Uint8Array(4 + SALT_BYTES + IV_BYTES + cipher.length);
+        new DataView(out.buffer).setUint32(0, PBKDF2_ITERATIONS);
+        out.set(salt, 4);
+        out.set(iv, 4 + SALT_BYTES);
+        out.set(cipher, 4 + SALT_BYTES + IV_BYTES);
+        return out;
+    }
+
+    async function decrypt(bytes, passphrase) {
+        if (!passphrase) {
+            throw secretError('This message is passphrase-protected.', 'PASSPHRASE_REQUIRED');
+        }
+        if (bytes.length < ENCRYPTION_OVERHEAD) throw secretError('The encrypted message is truncated.', 'CORRUPT');
+
+        const iterations = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0);
+        const salt = bytes.subarray(4, 4 + SALT_BYTES);
+        const iv = bytes.subarray(4 + SALT_BYTES, 4 + SALT_BYTES + IV_BYTES);
+        const key = await deriveKey(passphrase, salt, iterations);
+        try {
+            return new Uint8Array(await subtle().decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(4 + SALT_BYTES + IV_BYTES)));
+        } catch (err) {
+            throw secretError('Wrong passphrase — the message could not be decrypted.', 'WRONG_PASSPHRASE');
+        }
+    }
+
+    /* ── Error correction (optional) ──
+     * The payload is cut into equal Reed–Solomon codewords of up to 255 bytes,
+     * each with `parity` bytes, and their bytes are shuffled together (in a fixed
+     * order) so a damaged patch of pixels is shared out between codewords instead
+     * of wiping out one — whatever the image's row width.
+     * The header gets HEADER_PARITY bytes of its own and is stored twice: at the
+     * start and at the very end of the fill order, so one damaged corner can't lose it.
+     */
+    const REDUNDANCY = { off: 0, low: 16, medium: 32, high: 64, max: 128 };
+    const HEADER_PARITY = 16;
+    const FEC_HEADER_BYTES = HEADER_BYTES + HEADER_PARITY;
+    const INTERLEAVE_KEY = 'StG interleave';
+
+    function parityFromOptions(options = {}) {
+        const level = options.redundancy || 'off';
+        if (!(level in REDUNDANCY)) throw new Error(`Unknown redundancy "${level}".`);
+        return REDUNDANCY[level];
+    }
+
+    function fecShape(length, parity) {
+        const count = Math.ceil(length / (255 - parity));
+        const dataLength = count ? Math.ceil(length / count) : 0;
+        return { count, dataLength, size: count * (dataLength + parity) };
+    }
+
+    // Largest payload whose codewords fit in `room` stored bytes
+    function fecFit(room, parity) {
+        let length = Math.floor(room * (255 - parity) / 255);
+        while (length > 0 && fecShape(length, parity).size > room) length--;
+        return length;
+    }
+
+    function fecEncode(payload, parity) {
+        const { count, dataLength, size } = fecShape(payload.length, parity);
+        const n = dataLength + parity;
+        const slot = shuffle(size, INTERLEAVE_KEY);
+        const out = new Uint8Array(size);
+        for (let c = 0; c < count; c++) {
+            // The last chunk is zero-padded to the common length
+            const chunk = new Uint8Array(dataLength);
+            chunk.set(payload.subarray(c * dataLength, (c + 1) * dataLength));
+            const codeword = ReedSolomon.encode(chunk, parity);
+            for (let j = 0; j < n; j++) out[slot[c * n + j]] = codeword[j];
+        }
+        return out;
+    }
+
+    function fecDecode(stored, length, parity) {
+        const { count, dataLength, size } = fecShape(length, parity);
+        const n = dataLength + parity;
+        const slot = shuffle(size, INTERLEAVE_KEY);
+        const out = new Uint8Array(count * dataLength);
+        let corrected = 0;
+        for (let c = 0; c < count; c++) {
+            const codeword = new Uint8Array(n);
+            for (let j = 0; j < n; j++) codeword[j] = stored[slot[c * n + j]];
+            try {
+                const result = ReedSolomon.decode(codeword, parity);
+                out.set(result.data, c * dataLength);
+                corrected += result.corrected;
+            } catch (err) {
+                throw secretError('The hidden message is too damaged to repair.', 'CORRUPT');
             }
         }
+        return { payload: out.subarray(0, length), corrected };
+    }
+
+    /* ── Pixel sources: a canvas, or anything ImageData-shaped ({ width, height, data }) ── */
+    function pixelsOf(source) {
+        if (source.data) return source;
+        return source.getContext('2d').getImageData(0, 0, source.width, source.height);
+    }
+
+    /* ── Layouts: which channels carry data, and how many low bits of each ──
+     * The header always uses the base layout (1 bit of R, G, B) in the first
+     * headerPixels() pixels of the fill order (and, with error correction, the
+     * last ones too); the payload fills the pixels between in the layout stored in header byte 6:
+     *   bits 0–1 bits per channel − 1 · bits 4–7 channel mask (R 1, G 2, B 4, A 8)
+     */
+    const HEADER_PIXELS = Math.ceil(HEADER_BYTES * 8 / 3);
+    const FEC_HEADER_PIXELS = Math.ceil(FEC_HEADER_BYTES * 8 / 3);
+    const headerPixels = parity => (parity ? FEC_HEADER_PIXELS : HEADER_PIXELS);
+    const CHANNELS = 'rgba';
+    const BASE_LAYOUT = { bits: 1, mask: 0b0111 };
+
+    function layoutFromOptions(options = {}) {
+        const bits = options.bits === undefined ? 1 : options.bits;
+        if (!Number.isInteger(bits) || bits < 1 || bits > 4) throw new Error('Bits per channel must be 1–4.');
+        let mask = 0;
+        for (const c of (options.channels || 'rgb').toLowerCase()) {
+            const i = CHANNELS.indexOf(c);
+            if (i < 0) throw new Error(`Unknown channel "${c}" — use r, g, b and a.`);
+            mask |= 1 << i;
+        }
+        if (!mask) throw new Error('Pick at least one channel to hide data in.');
+        return { bits, mask };
+    }
+
+    const layoutByte = layout => (layout.mask << 4) | (layout.bits - 1);
+
+    function parseLayout(byte) {
+        const layout = { bits: (byte & 3) + 1, mask: byte >> 4 };
+        if (!layout.mask) throw secretError('The hidden message is damaged (no channels in its layout).', 'CORRUPT');
+        return layout;
+    }
+
+    // Alpha only carries data where its top bits are all set (fully or nearly opaque):
+    // that stays true whatever is written below, so decode finds the same pixels
+    const alphaFloor = layout => 256 - (1 << layout.bits);
+
+    /* ── Scattering: a key-seeded shuffle of the order pixels are filled in ──
+     * Without the key the bits are spread thinly over the whole image instead of
+     * clustering at the top, and there's no telling which pixels hold which byte.
+     * An order is a Uint32Array of pixel indices (coefficient indices in JPEG
+     * mode); null means top-left onwards.
+     */
+    // cyrb128: a small 128-bit string hash, only used to seed the PRNG
+    function seedFromKey(key) {
+        const bytes = utf8(key);
+        let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+        for (const k of bytes) {
+            h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+            h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+            h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+            h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+        }
+        h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+        h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+        h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+        h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+        h1 ^= h2 ^ h3 ^ h4;
+        return [h1, h2 ^ h1, h3 ^ h1, h4 ^ h1];
+    }
+
+    // sfc32: fast 32-bit PRNG with a 128-bit state, returns floats in [0, 1)
+    function sfc32([a, b, c, d]) {
+        return () => {
+            const t = (((a + b) | 0) + d) | 0;
+            d = (d + 1) | 0;
+            a = b ^ (b >>> 9);
+            b = (c + (c << 3)) | 0;
+            c = (c << 21) | (c >>> 11);
+            c = (c + t) | 0;
+            return (t >>> 0) / 4294967296;
+        };
+    }
+
+    function keyedRandom(key) {
+        const rand = sfc32(seedFromKey(key));
+        for (let i = 0; i < 15; i++) rand(); // let the seed mix in
+        return rand;
+    }
 
-        let bitIdx = 0;
-        for (let p = 32; p < totalPixels && bitIdx < bits.length; p++) {
-            const off = p * 4;
-            // R
-            if (bitIdx < bits.length) {
-                data[off] = (data[off] & 0xfe) | bits[bitIdx++];
+    // Indices 0…count−1 in a key-seeded order (Fisher–Yates)
+    function shuffle(count, key) {
+        const rand = keyedRandom(key);
+        const order = new Uint32Array(count);
+        for (let i = 0; i < count; i++) order[i] = i;
+        for (let i = count - 1; i > 0; i--) {
+            const j = Math.floor(rand() * (i + 1));
+            const t = order[i];
+            order[i] = order[j];
+            order[j] = t;
+        }
+        return order;
+    }
+
+    // The last `tail` entries of shuffle(count, key), which it settles first, without the rest
+    // (a sparse array: only positions count − tail onwards are set)
+    function shuffleTail(count, key, tail) {
+        const rand = keyedRandom(key);
+        const moved = new Map();
+        const order = [];
+        for (let i = count - 1; i >= Math.max(1, count - tail); i--) {
+            const j = Math.floor(rand() * (i + 1));
+            const atI = moved.has(i) ? moved.get(i) : i;
+            order[i] = moved.has(j) ? moved.get(j) : j;
+            moved.set(j, atI);
+        }
+        return order;
+    }
+
+    let orderCache = null; // capacity() is called on every keystroke
+
+    function fillOrder(key, count) {
+        if (!key) return null;
+        if (!orderCache || orderCache.key !== key || orderCache.count !== count) {
+            orderCache = { key, count, order: shuffle(count, key) };
+        }
+        return orderCache.order;
+    }
+
+    /* ── Bit slots: for each pixel from position `start` in `order`, each chosen channel, its low bits ── */
+    function slots(data, layout, order, start, end = data.length / 4) {
+        const channels = [0, 1, 2, 3].filter(c => layout.mask & (1 << c));
+        const floor = alphaFloor(layout);
+        let k = start;
+        let pixel = order ? order[k] : k;
+        let ci = -1;
+        // Parked one slot before the first, so the first next() lands on it
+        const cursor = { shift: layout.bits - 1 };
+
+        // Byte offset of the next slot (its bit is cursor.shift), or -1 past `end`
+        cursor.next = () => {
+            if (k >= end) return -1;
+            if (++cursor.shift < layout.bits) return pixel * 4 + channels[ci];
+            cursor.shift = 0;
+            for (;;) {
+                if (++ci >= channels.length) {
+                    ci = 0;
+                    if (++k >= end) return -1;
+                    pixel = order ? order[k] : k;
+                }
+                const c = channels[ci];
+                if (c !== 3 || data[pixel * 4 + 3] >= floor) return pixel * 4 + c;
             }
-            // G
-            if (bitIdx < bits.length) {
-                data[off + 1] = (data[off + 1] & 0xfe) | bits[bitIdx++];
+        };
+        return cursor;
+    }
+
+    function writeBits(data, bytes, cursor) {
+        for (let b = 0; b < bytes.length; b++) {
+            for (let bit = 7; bit >= 0; bit--) {
+                const off = cursor.next();
+                const mask = 1 << cursor.shift;
+                data[off] = (data[off] & ~mask) | (((bytes[b] >> bit) & 1) << cursor.shift);
             }
-            // B
-            if (bitIdx < bits.length) {
-                data[off + 2] = (data[off + 2] & 0xfe) | bits[bitIdx++];
+        }
+    }
+
+    // Slots past the end (a cropped image) read as zeros, for error correction to repair
+    function readBits(data, count, cursor) {
+        const bytes = new Uint8Array(count);
+        for (let b = 0; b < count; b++) {
+            let byte = 0;
+            for (let bit = 0; bit < 8; bit++) {
+                const off = cursor.next();
+                byte = (byte << 1) | (off < 0 ? 0 : (data[off] >> cursor.shift) & 1);
+            }
+            bytes[b] = byte;
+        }
+        return bytes;
+    }
+
+    // Whole bytes a layout holds in positions start…end of the fill order
+    function layoutCapacity(image, layout, order, { start, end }) {
+        const pixels = Math.max(0, end - start);
+        let perPixel = 0;
+        for (let c = 0; c < 3; c++) if (layout.mask & (1 << c)) perPixel += layout.bits;
+        let slotCount = pixels * perPixel;
+        if (layout.mask & 8) {
+            const floor = alphaFloor(layout);
+            for (let k = start; k < end; k++) {
+                if (image.data[(order ? order[k] : k) * 4 + 3] >= floor) slotCount += layout.bits;
             }
         }
+        return Math.floor(slotCount / 8);
+    }
+
+    /* ── JPEG mode: one bit in each usable quantised DCT coefficient (JSteg-style) ──
+     * Usable means an AC coefficient other than 0 and 1. Setting its low bit
+     * never turns it into a 0 or 1 (2 ↔ 3, −1 ↔ −2), so decode finds the same
+     * coefficients; zeros stay zeros, so the file hardly grows. The coefficients
+     * go straight into the JPEG, so nothing rounds them away, and the message
+     * survives anything that keeps them: stripped metadata, renamed files, apps
+     * that pass JPEGs through instead of converting PNGs. Re-encoding the JPEG
+     * still loses it — coefficients move across 0 and 1, so the slots no longer line up.
+     * The source is the bytes of a JPEG file (its coefficients are reused as they
+     * are), a JPEG JpegCodec already decoded or compressed (copied, never changed —
+     * worth keeping, as compressing a big image takes seconds), or pixels,
+     * compressed at options.quality first.
+     */
+    const DEFAULT_QUALITY = 90;
+
+    const isFileBytes = source => source instanceof Uint8Array || source instanceof ArrayBuffer;
+
+    const isDecodedJpeg = source => !!source && source.coeffs instanceof Int16Array && Array.isArray(source.components);
+
+    function jpegOf(source, options = {}) {
+        if (isFileBytes(source)) return JpegCodec.read(source);
+        if (isDecodedJpeg(source)) return { ...source, coeffs: source.coeffs.slice() };
+        const quality = options.quality === undefined ? DEFAULT_QUALITY : options.quality;
+        if (!(quality >= 1 && quality <= 100)) throw new Error('JPEG quality must be 1–100.');
+        return JpegCodec.fromImage(pixelsOf(source), quality);
+    }
+
+    const usableCoefficient = (coeffs, i) => i % 64 !== 0 && coeffs[i] !== 0 && coeffs[i] !== 1;
+
+    /* ── GIF mode: palette-index parity, or an extension block ──
+     * Parity: every opaque pixel of the first frame carries one bit in the parity
+     * of its palette index; a pixel whose parity has to flip moves to the nearest
+     * colour of the other parity. The GIF is quantised by GifSpoofer first.
+     * Extension: the container goes in an application extension named like
+     * ImageMagick's 8BIM profile block, which viewers skip. The pixels are
+     * untouched and there's no size limit, but anyone listing the blocks sees it.
+     */
+    const GIF_EXTENSION = { identifier: 'MGK8BIM0', auth: '000' };
+
+    const isGif = bytes => bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46; // "GIF"
+
+    // Hide the payload in the parity of a quantised frame's indices (GifSpoofer's onIndices)
+    function embedIndices(frame, payload, flags, parity, key) {
+        const { palette, indices, transparentIndex } = frame;
+        const colours = palette.length - (transparentIndex >= 0 ? 1 : 0);
+        if (colours === 1 && transparentIndex < 0) {
+            palette.push(palette[0].slice()); // a flat image: give its colour a twin to flip to
+        } else if (colours < 2) {
+            throw new Error('The GIF has too few colours to hide anything in.');
+        }
+
+        // Each colour's nearest neighbour of the other parity
+        const partner = palette.map(([r, g, b], p) => {
+            let best = -1;
+            let bestDist = Infinity;
+            palette.forEach(([r2, g2, b2], q) => {
+                if ((q & 1) === (p & 1) || q === transparentIndex) return;
+                const dist = (r - r2) ** 2 + (g - g2) ** 2 + (b - b2) ** 2;
+                if (dist < bestDist) { best = q; bestDist = dist; }
+            });
+            return best;
+        });
+
+        const bits = indices.slice();
+        embed(indexCarrier(bits, transparentIndex, key), null, payload, flags, parity);
+        for (let i = 0; i < indices.length; i++) {
+            if (bits[i] !== indices[i]) indices[i] = partner[indices[i]];
+        }
+    }
+
+    async function decodeGif(bytes, options) {
+        const gif = GifDecoder.parse(bytes);
+        const block = gif.blocks.find(b => b.type === 'application' &&
+            b.identifier === GIF_EXTENSION.identifier && b.auth === GIF_EXTENSION.auth);
+        if (block) {
+            const carrier = byteCarrier(block.data);
+            const found = findHeader(carrier);
+            if (found) return extract(carrier, found, null, options);
+        }
 
-        ctx.putImageData(imageData, 0, 0);
+        const frame = gif.frames[0];
+        const hit = frame && locate(key => indexCarrier(frame.indices, frame.transparentIndex, key), options);
+        if (!hit) throw secretError('No hidden message found.', 'NOT_FOUND');
+        return extract(hit.carrier, hit.found, null, options);
+    }
+
+    /* ── Text mode: invisible characters woven into a cover text ──
+     * The container, byte for byte, becomes a run of characters that render as
+     * nothing: zero-width characters at 2 bits each, or variation selectors
+     * VS17–VS32 at 4 bits each (denser, and a different set of filters to get
+     * past). They go at the ends of the cover's words, an even share each, so
+     * emoji and accented letters stay whole; decode reads them back in order and
+     * ignores everything else. ZWJ and VS1–16 aren't used: emoji need them.
+     * Anything that strips or normalises invisible characters loses the message.
+     */
+    const TEXT_ALPHABETS = {
+        'zero-width': { bits: 2, chars: ['\u200b', '\u200c', '\u2060', '\ufeff'] },
+        variation: { bits: 4, chars: Array.from({ length: 16 }, (_, i) => String.fromCodePoint(0xe0100 + i)) },
+    };
+    const INVISIBLE = /[\u200b\u200c\u2060\ufeff\u{e0100}-\u{e010f}]/gu;
+
+    function textAlphabet(name = 'zero-width') {
+        if (!TEXT_ALPHABETS[name]) throw new Error(`Unknown text alphabet "${name}".`);
+        return TEXT_ALPHABETS[name];
+    }
+
+    // Container bytes as invisible characters, high bits first, spread over the cover's words
+    function weave(cover, bytes, { bits, chars }) {
+        const symbols = [];
+        for (const byte of bytes) {
+            for (let shift = 8 - bits; shift >= 0; shift -= bits) symbols.push(chars[(byte >> shift) & ((1 << bits) - 1)]);
+        }
+
+        // Invisible characters already in the cover would be read as part of the message
+        const parts = cover.replace(INVISIBLE, '').split(/(\s+)/);
+        const words = parts.filter((part, i) => i % 2 === 0 && part).length;
+        if (!words) throw new Error('The cover text needs at least one word.');
+        let word = 0;
+        return parts.map((part, i) => {
+            if (i % 2 || !part) return part;
+            const from = Math.floor(word * symbols.length / words);
+            const to = Math.floor(++word * symbols.length / words);
+            return part + symbols.slice(from, to).join('');
+        }).join('');
+    }
+
+    // The invisible characters of one alphabet in `text`, as container bytes
+    function unweave(text, { bits, chars }) {
+        const values = [];
+        for (const char of text.match(INVISIBLE) || []) {
+            const value = chars.indexOf(char);
+            if (value >= 0) values.push(value);
+        }
+        const perByte = 8 / bits;
+        const bytes = new Uint8Array(Math.floor(values.length / perByte));
+        for (let i = 0; i < bytes.length; i++) {
+            for (let j = 0; j < perByte; j++) bytes[i] = (bytes[i] << bits) | values[i * perByte + j];
+        }
+        return bytes;
+    }
+
+    async function decodeText(text, options) {
+        for (const alphabet of Object.values(TEXT_ALPHABETS)) {
+            const carrier = byteCarrier(unweave(text, alphabet));
+            const found = findHeader(carrier);
+            if (found) return extract(carrier, found, null, options);
+        }
+        throw secretError('No hidden message found in this text.', 'NOT_FOUND');
+    }
 
-        // Return as PNG blob
-        return new Promise(resolve => {
-            canvas.toBlob(blob => resolve(blob), 'image/png');
+    /* ── Carriers: what the bits are written into ──
+     * A carrier lists its bit slots in fill order, in `units` of pixels,
+     * usable coefficients, GIF pixels or bits. The header takes the first headerUnits(parity) units
+     * (with error correction, the last ones too); the payload fills those between.
+     * `layout` is a pixel layout, or null outside PNG mode.
+     */
+    function pixelCarrier(image, data, order) {
+        return {
+            data,
+            units: image.width * image.height,
+            headerUnits: headerPixels,
+            header: start => slots(data, BASE_LAYOUT, order, start),
+            payload: (layout, start, end) => slots(data, layout, order, start, end),
+            room: (layout, range) => layoutCapacity(image, layout, order, range),
+        };
+    }
+
+    // One bit per unit; cursor(start, end) works like slots(): offset of the next bit (its bit is cursor.shift), -1 past `end`
+    function bitCarrier(data, units, cursor) {
+        return {
+            data,
+            units,
+            headerUnits: parity => (parity ? FEC_HEADER_BYTES : HEADER_BYTES) * 8,
+            header: start => cursor(start, units),
+            payload: (layout, start, end = units) => cursor(start, end),
+            room: (layout, { start, end }) => Math.floor(Math.max(0, end - start) / 8),
+        };
+    }
+
+    // The low bit of each element of `data` that `usable` lists, in the key's order
+    function listCarrier(data, usable, key) {
+        const order = fillOrder(key, usable.length);
+        return bitCarrier(data, usable.length, (start, end) => {
+            let k = start - 1;
+            return { shift: 0, next: () => (++k < end ? usable[order ? order[k] : k] : -1) };
+        });
+    }
+
+    function usableIndices(data, usable) {
+        let count = 0;
+        for (let i = 0; i < data.length; i++) if (usable(i)) count++;
+        const list = new Uint32Array(count);
+        for (let i = 0, n = 0; i < data.length; i++) if (usable(i)) list[n++] = i;
+        return list;
+    }
+
+    function coefficientCarrier(jpeg, key) {
+        const { coeffs } = jpeg;
+        return listCarrier(coeffs, usableIndices(coeffs, i => usableCoefficient(coeffs, i)), key);
+    }
+
+    // GIF pixels other than transparent ones
+    function indexCarrier(indices, transparentIndex, key) {
+        return listCarrier(indices, usableIndices(indices, i => indices[i] !== transparentIndex), key);
+    }
+
+    // The container bytes as they are (GIF extension block): unit k is bit 7 − k % 8 of byte k / 8
+    function byteCarrier(bytes) {
+        return bitCarrier(bytes, bytes.length * 8, (start, end) => {
+            let k = start - 1;
+            const cursor = {
+                shift: 0,
+                next: () => {
+                    if (++k >= end) return -1;
+                    cursor.shift = 7 - (k & 7);
+                    return k >> 3;
+                },
+            };
+            return cursor;
         });
     }
 
-    /* ── Decode hidden text from image ── */
-    function decode(canvas) {
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        const totalPixels = canvas.width * canvas.height;
+    // Payload units: between the header copies in the fill order
+    function payloadRange(carrier, parity) {
+        const header = carrier.headerUnits(parity);
+        return { start: header, end: parity ? carrier.units - header : carrier.units };
+    }
 
-        if (totalPixels < 32) {
-            throw new Error('Image too small to contain a hidden message.');
+    // Write the header (both copies with error correction) and the payload
+    function embed(carrier, layout, payload, flags, parity) {
+        const range = payloadRange(carrier, parity);
+        const fits = range.end >= range.start;
+        const room = fits ? carrier.room(layout, range) : 0;
+        const stored = parity ? fecEncode(payload, parity) : payload;
+        if (!fits || stored.length > room) {
+            const most = parity ? fecFit(room, parity) : room;
+            throw new Error(`Secret too large. Need ${payload.length} bytes but image only holds ${most}.`);
         }
 
-        // ── Read 32-bit length header ──
-        let msgLen = 0;
-        for (let i = 0; i < 32; i++) {
-            const bit = data[i * 4] & 1;
-            msgLen = (msgLen << 1) | bit;
+        const { data } = carrier;
+        const header = buildHeader(payload, flags, layout ? layoutByte(layout) : 0, parity);
+        if (parity) {
+            const block = ReedSolomon.encode(header, HEADER_PARITY);
+            writeBits(data, block, carrier.header(0));
+            writeBits(data, block, carrier.header(range.end));
+        } else {
+            writeBits(data, header, carrier.header(0));
+        }
+        writeBits(data, stored, carrier.payload(layout, range.start, range.end));
+    }
+
+    /* ── PNG output ──
+     * Written here rather than with canvas.toBlob(): canvases store premultiplied
+     * alpha, which rounds away low bits wherever a pixel isn't fully opaque.
+     * Browsers without CompressionStream still hand fully opaque images to a
+     * canvas, which keeps them exact; anything else is stored uncompressed.
+     */
+    function pngChunk(type, body) {
+        const out = new Uint8Array(12 + body.length);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, body.length);
+        for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+        out.set(body, 8);
+        view.setUint32(8 + body.length, crc32(out.subarray(4, 8 + body.length)));
+        return out;
+    }
+
+    // A zlib stream of stored (uncompressed) deflate blocks
+    function zlibStored(bytes) {
+        const BLOCK = 0xffff;
+        const blocks = Math.max(1, Math.ceil(bytes.length / BLOCK));
+        const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+        out.set([0x78, 0x01]);
+        let pos = 2;
+        for (let i = 0; i < blocks; i++) {
+            const block = bytes.subarray(i * BLOCK, (i + 1) * BLOCK);
+            const len = block.length;
+            out.set([i === blocks - 1 ? 1 : 0, len & 0xff, len >> 8, ~len & 0xff, (~len >> 8) & 0xff], pos);
+            out.set(block, pos + 5);
+            pos += 5 + len;
+        }
+
+        // Adler-32, reduced every 5552 bytes (the most that can't overflow)
+        let a = 1, b = 0;
+        for (let i = 0; i < bytes.length; i += 5552) {
+            const end = Math.min(bytes.length, i + 5552);
+            for (let j = i; j < end; j++) {
+                a += bytes[j];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        new DataView(out.buffer).setUint32(pos, ((b << 16) | a) >>> 0);
+        return out;
+    }
+
+    function canvasPng(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not write the PNG.')), 'image/png');
+        });
+    }
+
+    async function writePng(image) {
+        const { width, height, data } = image;
+        const compressor = deflateStream(globalThis.CompressionStream, 'deflate');
+        if (!compressor && typeof document !== 'undefined') {
+            let opaque = true;
+            for (let i = 3; i < data.length && opaque; i += 4) opaque = data[i] === 255;
+            if (opaque) return canvasPng(image);
         }
 
-        // Sanity check
-        if (msgLen <= 0 || msgLen > totalPixels) {
-            throw new Error('No hidden message found or image is corrupted.');
+        const stride = width * 4;
+
+        // Every row uses the Sub filter: cheap, and much smaller than none on photos
+        const raw = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            const row = y * (stride + 1);
+            raw[row] = 1;
+            for (let x = 0; x < stride; x++) {
+                const i = y * stride + x;
+                raw[row + 1 + x] = data[i] - (x >= 4 ? data[i - 4] : 0);
+            }
         }
+        const idat = compressor ? await streamThrough(raw, compressor) : zlibStored(raw);
+
+        const ihdr = new Uint8Array(13);
+        const view = new DataView(ihdr.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        ihdr.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+        const signature = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        return new Blob([signature, pngChunk('IHDR', ihdr), pngChunk('IDAT', idat), pngChunk('IEND', new Uint8Array(0))],
+            { type: 'image/png' });
+    }
+
+    /* ── Encode secret into image ──
+     * `secret` is a string (text message) or a File / Blob (hidden with its name and type).
+     * `source` is a canvas or ImageData-like (or, in JPEG mode, the bytes of a JPEG file or a JpegCodec JPEG;
+     * in text mode, the cover text); it isn't modified.
+     * Resolves to a PNG, JPEG or GIF Blob after options.format, or in text mode to the cover text with the message woven in.
+     * options.passphrase — encrypt the payload before embedding (optional)
+     * options.format — 'png' (default: pixel LSBs), 'jpeg' (DCT coefficients), 'gif' or 'text'
+     * options.quality — JPEG quality 1–100 when compressing pixels (default 90)
+     * options.gifMode — 'parity' (default: palette-index parity) or 'extension' (a metadata block)
+     * options.alphabet — text mode's characters: 'zero-width' (default) or 'variation' (see TEXT_ALPHABETS)
+     * options.bits — low bits used per channel, 1–4 (default 1; PNG only)
+     * options.channels — channels carrying data, e.g. 'rgb' (default) or 'rgba' (PNG only)
+     * options.key — scatter the bits in an order seeded by this key (optional; not in text mode or a GIF extension block)
+     * options.redundancy — error correction: one of REDUNDANCY's keys (default 'off'; likewise)
+     */
+    async function encode(source, secret, options = {}) {
+        const pixelMode = !options.format || options.format === 'png';
+        const layout = pixelMode ? layoutFromOptions(options) : null;
+        const parity = parityFromOptions(options);
 
-        const totalBits = msgLen * 8;
-        const bits = [];
+        let { bytes: payload, flags } = await packPayload(secret);
+        if (options.passphrase) {
+            payload = await encrypt(payload, options.passphrase);
+            flags |= FLAG_ENCRYPTED;
+        }
 
-        // ── Read message bits from R, G, B LSBs ──
-        let bitIdx = 0;
-        for (let p = 32; p < totalPixels && bitIdx < totalBits; p++) {
-            const off = p * 4;
-            if (bitIdx < totalBits) bits.push(data[off] & 1), bitIdx++;
-            if (bitIdx < totalBits) bits.push(data[off + 1] & 1), bitIdx++;
-            if (bitIdx < totalBits) bits.push(data[off + 2] & 1), bitIdx++;
+        if (options.format === 'jpeg') {
+            const jpeg = jpegOf(source, options);
+            embed(coefficientCarrier(jpeg, options.key), null, payload, flags, parity);
+            return new Blob([JpegCodec.write(jpeg)], { type: 'image/jpeg' });
+        }
+        if (options.format === 'text') {
+            const alphabet = textAlphabet(options.alphabet);
+            // Stored byte for byte: stripped characters go missing rather than come back damaged
+            const data = new Uint8Array(HEADER_BYTES + payload.length);
+            embed(byteCarrier(data), null, payload, flags, 0);
+            return weave(source, data, alphabet);
+        }
+        if (options.format === 'gif') {
+            const gifOptions = {};
+            if (options.gifMode === 'extension') {
+                // Stored byte for byte, so error correction has nothing to repair
+                const data = new Uint8Array(HEADER_BYTES + payload.length);
+                embed(byteCarrier(data), null, payload, flags, 0);
+                gifOptions.applications = [{ ...GIF_EXTENSION, data }];
+            } else {
+                gifOptions.onIndices = frame => embedIndices(frame, payload, flags, parity, options.key);
+            }
+            return new Blob([GifSpoofer.encodeImage(pixelsOf(source), gifOptions)], { type: 'image/gif' });
         }
+        const image = pixelsOf(source);
+        const data = new Uint8ClampedArray(image.data);
+        const order = fillOrder(options.key, image.width * image.height);
+        embed(pixelCarrier(image, data, order), layout, payload, flags, parity);
+        return writePng({ width: image.width, height: image.height, data });
+    }
+
+    /* ── Legacy layout: 32-bit length in the first 32 red LSBs, then bytes from pixel 32 ── */
+    function extractLegacy(data, totalPixels) {
+        if (totalPixels < 32) return null;
+
+        let msgLen = 0;
+        for (let i = 0; i < 32; i++) msgLen = (msgLen << 1) | (data[i * 4] & 1);
+        if (msgLen <= 0 || 32 + Math.ceil(msgLen * 8 / 3) > totalPixels) return null;
 
-        // Reconstruct bytes
         const bytes = new Uint8Array(msgLen);
+        let slot = 32 * 3;
         for (let b = 0; b < msgLen; b++) {
             let byte = 0;
-            for (let bit = 0; bit < 8; bit++) {
-                byte = (byte << 1) | (bits[b * 8 + bit] || 0);
+            for (let bit = 0; bit < 8; bit++, slot++) {
+                byte = (byte << 1) | (data[Math.floor(slot / 3) * 4 + slot % 3] & 1);
             }
             bytes[b] = byte;
         }
+        return bytes;
+    }
+
+    async function decodeLegacy(data, totalPixels, options) {
+        const bytes = extractLegacy(data, totalPixels);
+        if (!bytes) throw secretError('No hidden message found.', 'NOT_FOUND');
 
-        const decoder = new TextDecoder();
-        return decoder.decode(bytes);
+        if (bytes.length > LEGACY_ENC_MAGIC.length && LEGACY_ENC_MAGIC.every((v, i) => bytes[i] === v)) {
+            return fromPayload(PAYLOAD_TYPES.text, await decrypt(bytes.subarray(LEGACY_ENC_MAGIC.length), options.passphrase));
+        }
+        // Legacy images have no checksum: only accept bytes that are valid UTF-8 text
+        try {
+            return { type: 'text', text: new TextDecoder('utf-8', { fatal: true }).decode(bytes) };
+        } catch (err) {
+            throw secretError('No hidden message found.', 'NOT_FOUND');
+        }
     }
 
-    /* ── Capacity: how many UTF-8 characters roughly fit ── */
-    function capacity(canvas) {
-        const totalPixels = canvas.width * canvas.height;
-        const dataPixels = totalPixels - 32; // subtract header
-        const totalBits = dataPixels * 3;    // 3 bits per pixel
-        const totalBytes = Math.floor(totalBits / 8);
-        // UTF-8 worst case: ~3 bytes/char for non-ASCII. Use 1 byte/char as upper bound hint.
-        return Math.max(0, totalBytes);
+    // Find the header in a carrier: an error-corrected copy at the start or
+    // the end, else a plain one at the start. Returns { header, corrected } or null.
+    function findHeader(carrier) {
+        const { data, units } = carrier;
+        const fecUnits = carrier.headerUnits(true);
+        if (units >= 2 * fecUnits) {
+            for (const start of [0, units - fecUnits]) {
+                const block = readBits(data, FEC_HEADER_BYTES, carrier.header(start));
+                try {
+                    const { data: bytes, corrected } = ReedSolomon.decode(block, HEADER_PARITY);
+                    const header = parseHeader(bytes);
+                    if (header && header.parity) return { header, corrected };
+                } catch (err) {
+                    if (err.code) throw err;
+                    // Too damaged: try the other copy
+                }
+            }
+        }
+        const header = parseHeader(readBits(data, HEADER_BYTES, carrier.header(0)));
+        return header && { header, corrected: 0 };
+    }
+
+    // Look for a header in fill order, then in the key's order
+    function locate(carrierFor, options) {
+        let carrier = carrierFor(null);
+        let found = findHeader(carrier);
+        if (!found && options.key) {
+            carrier = carrierFor(options.key);
+            found = findHeader(carrier);
+            if (!found) throw secretError('No hidden message found with this key.', 'NOT_FOUND');
+        }
+        return found && { carrier, found };
+    }
+
+    /* ── Keyed orders after a crop ──
+     * The key's order depends on the pixel count, so an image cropped at the
+     * bottom is shuffled differently from the one that was encoded. Without a
+     * header in its own order, try the orders of images a few rows taller,
+     * with the missing rows read as blank opaque pixels: error correction
+     * then repairs them as it does an unkeyed crop. Past MAX_CROP of the
+     * height not even the strongest redundancy could, so the search stops.
+     * Each height is first probed through the header copy at the end of the
+     * order, which shuffleTail() gets cheaply; only a match is shuffled in full.
+     */
+    const MAX_CROP = 0.1;
+
+    function tailHasHeader(data, count, key) {
+        const units = FEC_HEADER_PIXELS;
+        const order = shuffleTail(count, key, units);
+        // Pixels past the end of `data` read as zeros
+        const block = readBits(data, FEC_HEADER_BYTES, slots(data, BASE_LAYOUT, order, count - units, count));
+        try {
+            const header = parseHeader(ReedSolomon.decode(block, HEADER_PARITY).data);
+            return !!(header && header.parity);
+        } catch (err) {
+            if (err.code) throw err;
+            return false;
+        }
+    }
+
+    function locateCropped(image, key) {
+        const { width, height, data } = image;
+        for (let rows = 1; rows <= Math.ceil(height * MAX_CROP); rows++) {
+            const count = width * (height + rows);
+            if (count < 2 * FEC_HEADER_PIXELS || !tailHasHeader(data, count, key)) continue;
+
+            const padded = new Uint8ClampedArray(count * 4);
+            padded.set(data);
+            for (let i = data.length + 3; i < padded.length; i += 4) padded[i] = 255;
+            const taller = { width, height: height + rows, data: padded };
+            const carrier = pixelCarrier(taller, padded, shuffle(count, key));
+            const found = findHeader(carrier);
+            if (found && found.header.parity) return { carrier, found };
+        }
+        return null;
+    }
+
+    // Read, repair and unpack the payload behind a header found in `carrier`
+    async function extract(carrier, found, layout, options) {
+        const { header } = found;
+        const { parity } = header;
+        const range = payloadRange(carrier, parity);
+        const room = header.version === 1
+            ? Math.floor(carrier.units * 3 / 8) - HEADER_BYTES
+            : carrier.room(layout, range);
+        const shape = parity ? fecShape(header.length, parity) : { size: header.length };
+        // With error correction, a few missing bytes per codeword (a cropped-off edge) can be rebuilt
+        const missing = Math.max(0, shape.size - room);
+        if (parity ? missing > shape.count * parity / 2 : missing > 0) {
+            throw secretError('The hidden message is damaged (its length runs past the end of the image).', 'CORRUPT');
+        }
+
+        let cursor = carrier.payload(layout, range.start);
+        // Version 1 had no layout byte: the payload runs on in the base layout right after the header
+        if (header.version === 1) {
+            cursor = carrier.header(0);
+            readBits(carrier.data, HEADER_BYTES, cursor);
+        }
+        let payload = readBits(carrier.data, shape.size, cursor);
+        let corrected = found.corrected;
+        if (parity) {
+            const fixed = fecDecode(payload, header.length, parity);
+            payload = fixed.payload;
+            corrected += fixed.corrected;
+        }
+        if (crc32(payload) !== header.crc) {
+            throw secretError('The hidden message is damaged (checksum mismatch).', 'CORRUPT');
+        }
+        if (header.flags & FLAG_ENCRYPTED) payload = await decrypt(payload, options.passphrase);
+        if (header.flags & FLAG_COMPRESSED) payload = await inflate(payload);
+        const secret = fromPayload(header.type, payload);
+        if (parity) secret.corrected = corrected;
+        return secret;
+    }
+
+    /* ── Decode the hidden secret from an image ──
+     * `source` is a canvas or ImageData-like, the bytes of a JPEG or GIF file, or text (a string).
+     * Resolves to { type: 'text', text } or { type: 'file', name, mime, bytes }.
+     * With error correction the result also has `corrected`: the number of damaged bytes repaired,
+     * including those in rows cropped off the bottom (with or without a key).
+     * options.passphrase — needed for encrypted messages.
+     * options.key — needed for messages scattered with a key.
+     * Rejects with a `code`: 'NOT_FOUND' (no message), 'CORRUPT' (checksum
+     * mismatch or beyond repair), 'UNSUPPORTED' (newer format), 'PASSPHRASE_REQUIRED' or
+     * 'WRONG_PASSPHRASE'.
+     */
+    async function decode(source, options = {}) {
+        if (typeof source === 'string') return decodeText(source, options);
+        if (isFileBytes(source)) {
+            const bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+            if (isGif(bytes)) return decodeGif(bytes, options);
+            const jpeg = JpegCodec.read(bytes);
+            const hit = locate(key => coefficientCarrier(jpeg, key), options);
+            if (!hit) throw secretError('No hidden message found.', 'NOT_FOUND');
+            return extract(hit.carrier, hit.found, null, options);
+        }
+
+        const image = pixelsOf(source);
+        const { data } = image;
+        const pixels = image.width * image.height;
+        if (pixels < HEADER_PIXELS) return decodeLegacy(data, pixels, options);
+
+        let hit;
+        try {
+            hit = locate(key => pixelCarrier(image, data, fillOrder(key, pixels)), options);
+        } catch (err) {
+            hit = err.code === 'NOT_FOUND' && locateCropped(image, options.key);
+            if (!hit) throw err;
+        }
+        if (!hit) return decodeLegacy(data, pixels, options);
+        const { header } = hit.found;
+        const layout = header.version === 1 ? BASE_LAYOUT : parseLayout(header.layout);
+        return extract(hit.carrier, hit.found, layout, options);
+    }
+
+    /* ── Bytes a secret will take up once encoded (without the container header) ──
+     * Resolves after compressing it, as encode() does; encryption adds a fixed overhead.
+     */
+    async function payloadSize(secret, options = {}) {
+        const { bytes } = await packPayload(secret);
+        return options.passphrase ? bytes.length + ENCRYPTION_OVERHEAD : bytes.length;
+    }
+
+    /* ── Capacity: payload bytes that fit besides the container header and parity ──
+     * options as for encode(). In JPEG mode this compresses the image, so it's
+     * worth keeping the result rather than asking on every keystroke.
+     * A GIF extension block and a cover text have no limit: Infinity.
+     */
+    function capacity(source, options = {}) {
+        const parity = parityFromOptions(options);
+        let carrier;
+        let layout = null;
+        if (options.format === 'text') return Infinity;
+        if (options.format === 'gif') {
+            if (options.gifMode === 'extension') return Infinity;
+            // Every pixel: the GIF is written without transparency
+            const image = pixelsOf(source);
+            carrier = bitCarrier(null, image.width * image.height, null);
+        } else if (options.format === 'jpeg') {
+            carrier = coefficientCarrier(jpegOf(source, options), null);
+        } else {
+            const image = pixelsOf(source);
+            layout = layoutFromOptions(options);
+            // The order only matters when alpha carries data, and shuffling a big image isn't free
+            const order = layout.mask & 8 ? fillOrder(options.key, image.width * image.height) : null;
+            carrier = pixelCarrier(image, image.data, order);
+        }
+        const range = payloadRange(carrier, parity);
+        if (range.end < range.start) return 0;
+        const room = carrier.room(layout, range);
+        return parity ? fecFit(room, parity) : room;
+    }
+
+    /* ── Expected distortion of hiding `size` payload bytes (PNG mode) ──
+     * Rewriting k low bits with random data changes a channel by at most 2^k − 1,
+     * with a mean squared error of (4^k − 1) / 6 per touched channel.
+     * Returns { maxChange, psnr } — PSNR in dB over the channels in use.
+     */
+    function distortion(source, size, options = {}) {
+        const image = pixelsOf(source);
+        const layout = layoutFromOptions(options);
+        const parity = parityFromOptions(options);
+        const stored = parity ? fecShape(size, parity).size : size;
+        const headerBits = parity ? 2 * FEC_HEADER_BYTES * 8 : HEADER_BYTES * 8;
+        const touched = Math.ceil((stored * 8) / layout.bits);
+        const squaredError = headerBits * 0.5 + touched * ((4 ** layout.bits - 1) / 6);
+        const samples = image.width * image.height * (layout.mask & 8 ? 4 : 3);
+        return {
+            maxChange: (1 << layout.bits) - 1,
+            psnr: 10 * Math.log10((255 * 255) / (squaredError / samples)),
+        };
+    }
+
+    /* ── Before / after: what encoding actually changed ──
+     * Both images must be the same size (canvases or ImageData-like).
+     */
+    function pixelPair(before, after) {
+        const a = pixelsOf(before);
+        const b = pixelsOf(after);
+        if (a.width !== b.width || a.height !== b.height) throw new Error('Images must be the same size to compare.');
+        return [a, b];
+    }
+
+    const luma = (data, i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+    // Mean SSIM on luma over 8×8 windows every 4 pixels (Wang et al.'s constants, no Gaussian weighting)
+    function ssim(a, b) {
+        const { width, height } = a;
+        const c1 = (0.01 * 255) ** 2;
+        const c2 = (0.03 * 255) ** 2;
+        const la = new Float32Array(width * height);
+        const lb = new Float32Array(width * height);
+        for (let p = 0; p < la.length; p++) {
+            la[p] = luma(a.data, p * 4);
+            lb[p] = luma(b.data, p * 4);
+        }
+
+        const size = Math.min(8, width, height);
+        const n = size * size;
+        let sum = 0;
+        let windows = 0;
+        for (let y = 0; y + size <= height; y += 4) {
+            for (let x = 0; x + size <= width; x += 4) {
+                let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+                for (let j = 0; j < size; j++) {
+                    for (let i = 0; i < size; i++) {
+                        const p = (y + j) * width + x + i;
+                        const u = la[p], v = lb[p];
+                        sa += u; sb += v;
+                        saa += u * u; sbb += v * v; sab += u * v;
+                    }
+                }
+                const ma = sa / n, mb = sb / n;
+                const va = saa / n - ma * ma;
+                const vb = sbb / n - mb * mb;
+                const cov = sab / n - ma * mb;
+                sum += ((2 * ma * mb + c1) * (2 * cov + c2)) / ((ma * ma + mb * mb + c1) * (va + vb + c2));
+                windows++;
+            }
+        }
+        return windows ? sum / windows : 1;
+    }
+
+    /**
+     * Returns { psnr, ssim, changed, pixels, maxChange }: PSNR in dB over R, G, B
+     * (Infinity when they're identical), SSIM (1 = identical), pixels with any
+     * channel changed out of all pixels, and the largest change of any channel.
+     */
+    function compare(before, after) {
+        const [a, b] = pixelPair(before, after);
+        let squared = 0;
+        let changed = 0;
+        let maxChange = 0;
+        for (let i = 0; i < a.data.length; i += 4) {
+            let touched = false;
+            for (let c = 0; c < 4; c++) {
+                const d = Math.abs(a.data[i + c] - b.data[i + c]);
+                if (!d) continue;
+                touched = true;
+                if (d > maxChange) maxChange = d;
+                if (c < 3) squared += d * d;
+            }
+            if (touched) changed++;
+        }
+        const pixels = a.width * a.height;
+        const mse = squared / (pixels * 3);
+        return {
+            psnr: mse ? 10 * Math.log10((255 * 255) / mse) : Infinity,
+            ssim: ssim(a, b),
+            changed,
+            pixels,
+            maxChange,
+        };
+    }
+
+    /**
+     * Heat map of each pixel's largest channel change, times `gain` — 0 (the
+     * default) stretches the largest change to full heat. Unchanged pixels are
+     * black, then red → yellow → white. Returns ImageData-shaped pixels.
+     */
+    function diffMap(before, after, gain = 0) {
+        const [a, b] = pixelPair(before, after);
+        const pixels = a.width * a.height;
+        const diff = new Uint8Array(pixels);
+        let max = 0;
+        for (let p = 0; p < pixels; p++) {
+            let d = 0;
+            for (let c = 0; c < 4; c++) d = Math.max(d, Math.abs(a.data[p * 4 + c] - b.data[p * 4 + c]));
+            diff[p] = d;
+            if (d > max) max = d;
+        }
+
+        const scale = gain || (max ? 255 / max : 0);
+        const out = new Uint8ClampedArray(pixels * 4);
+        for (let p = 0; p < pixels; p++) {
+            const heat = Math.min(1, (diff[p] * scale) / 255) * 3;
+            out[p * 4] = heat * 255;
+            out[p * 4 + 1] = (heat - 1) * 255;
+            out[p * 4 + 2] = (heat - 2) * 255;
+            out[p * 4 + 3] = 255;
+        }
+        return { width: a.width, height: a.height, data: out };
     }
 
-    return { encode, decode, capacity };
+    return { encode, decode, capacity, distortion, payloadSize, compare, diffMap, REDUNDANCY, TEXT_ALPHABETS };
 })();
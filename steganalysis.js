@@ -0,0 +1,259 @@
+/**
+ * Steganalysis — looks for data hidden in the low bits of an image
+ *
+ * Works on ImageData-shaped pixels ({ width, height, data: RGBA }), so it
+ * runs in the page or in Node. Three views of the same question:
+ *   bit planes  — one bit of one channel as a black / white image; hidden
+ *                 data shows up as noise where the picture should show through
+ *   chi-square  — Westfeld & Pfitzmann's pairs-of-values test: embedding random
+ *                 bits evens out the counts of each value pair (2k, 2k + 1)
+ *   RS analysis — Fridrich, Goljan & Du's regular / singular groups: estimates
+ *                 the fraction of pixels whose LSB carries a message, even when
+ *                 the bits are scattered
+ */
+
+const Steganalysis = (() => {
+    const CHANNELS = { r: 0, g: 1, b: 2, a: 3 };
+
+    function channelIndex(channel) {
+        if (!(channel in CHANNELS)) throw new Error(`Unknown channel "${channel}".`);
+        return CHANNELS[channel];
+    }
+
+    /* ── Bit planes ──
+     * channel: 'r', 'g', 'b', 'a', or 'rgb' for all three at once (each set
+     * bit lights up its own colour). Returns RGBA pixels for an ImageData.
+     */
+    function bitPlane(image, channel, bit) {
+        const { width, height, data } = image;
+        const out = new Uint8ClampedArray(width * height * 4);
+        const mask = 1 << bit;
+        const single = channel === 'rgb' ? -1 : channelIndex(channel);
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (single < 0) {
+                out[i] = data[i] & mask ? 255 : 0;
+                out[i + 1] = data[i + 1] & mask ? 255 : 0;
+                out[i + 2] = data[i + 2] & mask ? 255 : 0;
+            } else {
+                const v = data[i + single] & mask ? 255 : 0;
+                out[i] = out[i + 1] = out[i + 2] = v;
+            }
+            out[i + 3] = 255;
+        }
+        return { width, height, data: out };
+    }
+
+    /* ── Chi-square distribution ── */
+    // Lanczos approximation (g = 7)
+    const LANCZOS = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+        1.5056327351493116e-7,
+    ];
+
+    function logGamma(x) {
+        if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+        x -= 1;
+        let a = LANCZOS[0];
+        const t = x + 7.5;
+        for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+    }
+
+    // Regularised upper incomplete gamma Q(a, x): series below a + 1, continued fraction above
+    function gammaQ(a, x) {
+        if (x <= 0) return 1;
+        const front = Math.exp(-x + a * Math.log(x) - logGamma(a));
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return Math.max(0, 1 - sum * front);
+        }
+        // Modified Lentz
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 1000; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-14) break;
+        }
+        return Math.min(1, front * h);
+    }
+
+    /* ── Chi-square attack ──
+     * p close to 1 means the value pairs are as even as random LSBs make them.
+     * Pairs expected to hold fewer than 5 samples are left out, as usual for χ².
+     */
+    function pairsTest(histogram) {
+        let chi = 0;
+        let categories = 0;
+        for (let k = 0; k < 128; k++) {
+            const expected = (histogram[2 * k] + histogram[2 * k + 1]) / 2;
+            if (expected < 5) continue;
+            const diff = histogram[2 * k] - expected;
+            chi += (diff * diff) / expected;
+            categories++;
+        }
+        if (categories < 2) return NaN;
+        return gammaQ((categories - 1) / 2, chi / 2);
+    }
+
+    /**
+     * Run the test on growing prefixes of the image in fill order (rows from
+     * the top, channels interleaved), like a sequential embedder writes.
+     * channels: any of 'rgb' (default). Returns { curve: [{ fraction, p }], p,
+     * fraction } — `fraction` is how far from the top the pairs stay even (p ≥ 0.5).
+     */
+    function chiSquare(image, { channels = 'rgb', steps = 100 } = {}) {
+        const pick = [...channels].map(channelIndex);
+        const pixels = image.width * image.height;
+        const histogram = new Float64Array(256);
+        const curve = [];
+        let pixel = 0;
+
+        for (let step = 1; step <= steps; step++) {
+            const until = Math.round(pixels * step / steps);
+            for (; pixel < until; pixel++) {
+                for (const c of pick) histogram[image.data[pixel * 4 + c]]++;
+            }
+            curve.push({ fraction: step / steps, p: pairsTest(histogram) });
+        }
+
+        let fraction = 0;
+        for (const point of curve) {
+            if (!(point.p >= 0.5)) break;
+            fraction = point.fraction;
+        }
+        return { curve, p: curve.length ? curve[curve.length - 1].p : NaN, fraction };
+    }
+
+    /* ── RS analysis ──
+     * Groups of 4 horizontally adjacent samples; smoothness f = Σ |x(i+1) − x(i)|.
+     * Flipping with mask M = [0, 1, 1, 0] makes a group regular (f grows) or
+     * singular (f shrinks). F1 flips LSBs (2n ↔ 2n + 1), F−1 shifts the other
+     * way (2n ↔ 2n − 1). Clean images have R_M ≈ R_−M; LSB embedding pulls R_M
+     * and S_M together while pushing R_−M and S_−M apart.
+     */
+    const flip = x => x ^ 1;
+    const shiftFlip = x => (x & 1 ? x + 1 : x - 1);
+
+    function smoothness(a, b, c, d) {
+        return Math.abs(b - a) + Math.abs(c - b) + Math.abs(d - c);
+    }
+
+    // Relative counts of regular / singular groups for M and −M, optionally with every LSB flipped
+    function groupCounts(image, channel, flipped) {
+        const { width, height, data } = image;
+        let groups = 0;
+        let rm = 0, sm = 0, rn = 0, sn = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x + 4 <= width; x += 4) {
+                const i = (y * width + x) * 4 + channel;
+                let a = data[i], b = data[i + 4], c = data[i + 8], d = data[i + 12];
+                if (flipped) { a ^= 1; b ^= 1; c ^= 1; d ^= 1; }
+
+                const f = smoothness(a, b, c, d);
+                const fm = smoothness(a, flip(b), flip(c), d);
+                const fn = smoothness(a, shiftFlip(b), shiftFlip(c), d);
+                groups++;
+                if (fm > f) rm++; else if (fm < f) sm++;
+                if (fn > f) rn++; else if (fn < f) sn++;
+            }
+        }
+        if (!groups) return null;
+        return { rm: rm / groups, sm: sm / groups, rn: rn / groups, sn: sn / groups };
+    }
+
+    /**
+     * Estimate the share of samples in one channel that carry message bits.
+     * Returns { rate (0–1), regular, singular, regularNeg, singularNeg } or null for tiny images.
+     */
+    function rsAnalysis(image, channel) {
+        const c = channelIndex(channel);
+        const now = groupCounts(image, c, false);
+        const all = groupCounts(image, c, true);
+        if (!now) return null;
+
+        // Fridrich's quadratic in z, from the counts at p / 2 and 1 − p / 2
+        const d0 = now.rm - now.sm;
+        const d1 = all.rm - all.sm;
+        const n0 = now.rn - now.sn;
+        const n1 = all.rn - all.sn;
+        const qa = 2 * (d1 + d0);
+        const qb = n0 - n1 - d1 - 3 * d0;
+        const qc = d0 - n0;
+
+        let z;
+        if (Math.abs(qa) < 1e-12) {
+            z = Math.abs(qb) < 1e-12 ? 0 : -qc / qb;
+        } else {
+            const disc = qb * qb - 4 * qa * qc;
+            if (disc < 0) {
+                z = -qb / (2 * qa);
+            } else {
+                const r1 = (-qb + Math.sqrt(disc)) / (2 * qa);
+                const r2 = (-qb - Math.sqrt(disc)) / (2 * qa);
+                z = Math.abs(r1) < Math.abs(r2) ? r1 : r2;
+            }
+        }
+        const rate = Math.abs(z - 0.5) < 1e-12 ? 1 : z / (z - 0.5);
+        return {
+            rate: Math.min(1, Math.max(0, rate)),
+            regular: now.rm,
+            singular: now.sm,
+            regularNeg: now.rn,
+            singularNeg: now.sn,
+        };
+    }
+
+    /* ── Everything at once ──
+     * Returns { channels: { r, g, b: { rs, chi } }, chi (R, G, B together),
+     * estimate: { bytes, rate }, verdict: 'clean' | 'possible' | 'likely' }.
+     * The byte estimate assumes one message bit per carrying sample.
+     * estimate.rate is the share of R, G, B samples that seem to carry data.
+     */
+    function analyse(image) {
+        const pixels = image.width * image.height;
+        const channels = {};
+        let bits = 0;
+        let rateSum = 0;
+
+        for (const name of ['r', 'g', 'b']) {
+            const rs = rsAnalysis(image, name);
+            const chi = chiSquare(image, { channels: name, steps: 20 });
+            channels[name] = { rs, chi };
+            if (rs) {
+                bits += rs.rate * pixels;
+                rateSum += rs.rate;
+            }
+        }
+
+        // A sequential message shows up as even pairs from the top, which
+        // measures its length better than RS does; scattered ones only show in RS
+        const chi = chiSquare(image);
+        const rate = Math.max(rateSum / 3, chi.fraction);
+        bits = Math.max(bits, chi.fraction * pixels * 3);
+        const verdict = rate >= 0.1 || chi.fraction >= 0.05 ? 'likely' : rate >= 0.03 ? 'possible' : 'clean';
+        return { channels, chi, estimate: { bytes: Math.round(bits / 8), rate }, verdict };
+    }
+
+    return { bitPlane, chiSquare, rsAnalysis, analyse };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Steganalysis;
@@ -0,0 +1,133 @@
+/**
+ * GIF encoder benchmark — times GifSpoofer.encode against the frozen
+ * LegacyGifSpoofer on the same ImageData and checks the bytes match.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const $ = sel => document.querySelector(sel);
+
+    const results = $('#bench-results');
+    let droppedImage = null; // { name, imageData }
+
+    /* ── Photo-like test image: smooth gradients, soft shapes and sensor noise ── */
+    function makeTestImage(megapixels) {
+        const width = Math.round(Math.sqrt(megapixels * 1e6 * 4 / 3));
+        const height = Math.round(width * 3 / 4);
+        const data = new Uint8ClampedArray(width * height * 4);
+        let seed = 1;
+        const noise = () => ((seed = Math.imul(seed, 1103515245) + 12345) >>> 16 & 0xff) / 255 - 0.5;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const u = x / width, v = y / height;
+                const blob = Math.exp(-((u - 0.6) ** 2 + (v - 0.4) ** 2) * 12);
+                const o = (y * width + x) * 4;
+                data[o] = 40 + 180 * u + 30 * Math.sin(v * 9) + 12 * noise();
+                data[o + 1] = 60 + 120 * v + 70 * blob + 12 * noise();
+                data[o + 2] = 140 - 90 * u * v + 50 * Math.cos(u * 7) + 12 * noise();
+                data[o + 3] = 255;
+            }
+        }
+        return { width, height, data };
+    }
+
+    function loadImageData(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(img.src);
+                const canvas = document.createElement('canvas');
+                canvas.width = img.naturalWidth;
+                canvas.height = img.naturalHeight;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0);
+                resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+            };
+            img.onerror = () => reject(new Error('Failed to load image'));
+            img.src = URL.createObjectURL(file);
+        });
+    }
+
+    async function time(fn) {
+        const t0 = performance.now();
+        const blob = fn();
+        const ms = performance.now() - t0;
+        return { ms, blob, bytes: new Uint8Array(await blob.arrayBuffer()) };
+    }
+
+    function sameBytes(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+    }
+
+    function addRow(cells) {
+        const tr = document.createElement('tr');
+        cells.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        results.appendChild(tr);
+    }
+
+    // Let the table repaint between long synchronous runs
+    const nextFrame = () => new Promise(resolve => setTimeout(resolve, 30));
+
+    async function run() {
+        const source = droppedImage || {
+            name: `generated ${$('#bench-size').value} MP`,
+            imageData: makeTestImage(Number($('#bench-size').value)),
+        };
+        const { imageData } = source;
+        const label = `${source.name} (${imageData.width}×${imageData.height})`;
+
+        results.innerHTML = '';
+        $('#bench-run').disabled = true;
+        await nextFrame();
+
+        try {
+            const current = await time(() => GifSpoofer.encode([{ imageData }]));
+            addRow(['Current', label, `${current.ms.toFixed(0)} ms`, current.bytes.length.toLocaleString(), '—']);
+            await nextFrame();
+
+            if ($('#bench-legacy').checked) {
+                const legacy = await time(() => LegacyGifSpoofer.buildGif(imageData));
+                const match = sameBytes(legacy.bytes, current.bytes) ? 'identical to current' : 'differs';
+                addRow(['Legacy', label, `${legacy.ms.toFixed(0)} ms`, legacy.bytes.length.toLocaleString(), match]);
+                addRow(['Speed-up', '', `${(legacy.ms / current.ms).toFixed(1)}×`, '', '']);
+                await nextFrame();
+            }
+
+            const dithered = await time(() => GifSpoofer.encode([{ imageData }], { dither: 'floyd-steinberg' }));
+            addRow(['Current + Floyd–Steinberg', label, `${dithered.ms.toFixed(0)} ms`,
+                dithered.bytes.length.toLocaleString(), '—']);
+        } finally {
+            $('#bench-run').disabled = false;
+        }
+    }
+
+    $('#bench-run').addEventListener('click', run);
+
+    $('#bench-file').addEventListener('change', async () => {
+        const file = $('#bench-file').files[0];
+        if (!file) return;
+        droppedImage = { name: file.name, imageData: await loadImageData(file) };
+        $('#bench-source').textContent = file.name;
+    });
+
+    const drop = $('#bench-drop');
+    drop.addEventListener('dragover', e => {
+        e.preventDefault();
+        drop.classList.add('drop-zone--dragover');
+    });
+    drop.addEventListener('dragleave', () => drop.classList.remove('drop-zone--dragover'));
+    drop.addEventListener('drop', async e => {
+        e.preventDefault();
+        drop.classList.remove('drop-zone--dragover');
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+        droppedImage = { name: file.name, imageData: await loadImageData(file) };
+        $('#bench-source').textContent = file.name;
+    });
+});
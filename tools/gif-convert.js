@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * gif-convert — convert PNG files to GIFs from the command line
+ *
+ * Runs the same encoder as the page (GifSpoofer.encodeImage) on images
+ * decoded by the bundled PngDecoder, so it needs nothing beyond Node 18+.
+ *
+ *   node tools/gif-convert.js photo.png                 → photo.gif
+ *   node tools/gif-convert.js *.png --out-dir gifs --colors 64 --dither atkinson
+ *   node tools/gif-convert.js logo.png -o logo.gif --transparent --verify
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GifSpoofer = require('../gif-spoofer.js');
+const GifDecoder = require('../gif-decoder.js');
+const GifPalette = require('../gif-palette.js');
+const PngDecoder = require('../png-decoder.js');
+
+const USAGE = `Usage: gif-convert <input.png>... [options]
+
+Options:
+  -o, --out <file>          Output file (only with a single input)
+  -d, --out-dir <dir>       Write <name>.gif files here (default: next to each input)
+  -c, --colors <2-256>      Palette size (default 256)
+  -p, --palette <name|file> Fixed palette: ${Object.keys(GifPalette.PRESETS).join(', ')},
+                            or a .gpl / .act / .json palette file
+      --dither <mode>       ${GifSpoofer.DITHER_MODES.join(', ')} (default none)
+      --strength <0-100>    Dither strength in percent (default 100)
+  -t, --transparent         Keep transparency (off by default, like the page)
+      --alpha-threshold <n> Alpha below this becomes transparent (default 128)
+      --max-kb <n>          Shrink colours / size until the GIF fits under n KB
+      --verify              Decode each GIF again and check its size and palette
+  -q, --quiet               Only print errors
+  -h, --help                Show this help`;
+
+/* ── Arguments ── */
+const FLAGS = {
+    '-o': 'out', '--out': 'out',
+    '-d': 'outDir', '--out-dir': 'outDir',
+    '-c': 'colors', '--colors': 'colors',
+    '-p': 'palette', '--palette': 'palette',
+    '--dither': 'dither',
+    '--strength': 'strength',
+    '--alpha-threshold': 'alphaThreshold',
+    '--max-kb': 'maxKb',
+};
+const SWITCHES = {
+    '-t': 'transparent', '--transparent': 'transparent',
+    '--verify': 'verify',
+    '-q': 'quiet', '--quiet': 'quiet',
+    '-h': 'help', '--help': 'help',
+};
+
+function parseArgs(argv) {
+    const args = { inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (FLAGS[arg]) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            args[FLAGS[arg]] = argv[++i];
+        } else if (SWITCHES[arg]) {
+            args[SWITCHES[arg]] = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            args.inputs.push(arg);
+        }
+    }
+    return args;
+}
+
+function number(value, name, min, max) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) throw new Error(`${name} must be a number from ${min} to ${max}`);
+    return n;
+}
+
+async function loadPalette(spec, colors) {
+    if (GifPalette.PRESETS[spec]) return GifPalette.preset(spec, colors);
+    const bytes = fs.readFileSync(spec);
+    // GifPalette.parse() takes anything File-like
+    return GifPalette.parse({
+        name: path.basename(spec),
+        arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length),
+        text: async () => bytes.toString('utf8'),
+    });
+}
+
+async function encodeOptions(args) {
+    const colors = args.colors !== undefined ? Math.round(number(args.colors, '--colors', 2, 256)) : 256;
+    if (args.dither && !GifSpoofer.DITHER_MODES.includes(args.dither)) {
+        throw new Error(`--dither must be one of ${GifSpoofer.DITHER_MODES.join(', ')}`);
+    }
+    return {
+        colors,
+        palette: args.palette ? await loadPalette(args.palette, colors) : null,
+        dither: args.dither || 'none',
+        ditherStrength: args.strength !== undefined ? number(args.strength, '--strength', 0, 100) / 100 : 1,
+        transparent: !!args.transparent,
+        alphaThreshold: args.alphaThreshold !== undefined ? number(args.alphaThreshold, '--alpha-threshold', 1, 255) : 128,
+        maxBytes: args.maxKb !== undefined ? number(args.maxKb, '--max-kb', 1, Infinity) * 1024 : 0,
+    };
+}
+
+function outputPath(input, args) {
+    if (args.out) return args.out;
+    const name = path.basename(input).replace(/\.[^.]+$/, '') + '.gif';
+    return path.join(args.outDir || path.dirname(input), name);
+}
+
+function formatBytes(n) {
+    return n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} KB`;
+}
+
+// Decode the GIF we just wrote and check it against what was asked for
+function verify(gif, image, fit) {
+    const decoded = GifDecoder.parse(gif);
+    const width = fit ? fit.width : image.width;
+    const height = fit ? fit.height : image.height;
+    if (decoded.width !== width || decoded.height !== height) {
+        throw new Error(`verify: GIF is ${decoded.width}×${decoded.height}, expected ${width}×${height}`);
+    }
+    if (decoded.frames.length !== 1) throw new Error(`verify: expected 1 frame, found ${decoded.frames.length}`);
+    const frame = decoded.frames[0];
+    const tableSize = frame.colorTable.length;
+    for (const index of frame.indices) {
+        if (index >= tableSize) throw new Error(`verify: pixel uses colour ${index} of a ${tableSize}-colour table`);
+    }
+    return decoded;
+}
+
+/* ── Main ── */
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.inputs.length) {
+        console.log(USAGE);
+        return args.help ? 0 : 1;
+    }
+    if (args.out && args.inputs.length > 1) throw new Error('--out only works with a single input; use --out-dir');
+    if (args.outDir) fs.mkdirSync(args.outDir, { recursive: true });
+
+    const options = await encodeOptions(args);
+    const log = args.quiet ? () => {} : console.log;
+    let failed = 0;
+
+    // One bad file doesn't stop the rest
+    for (const input of args.inputs) {
+        try {
+            const image = PngDecoder.decode(fs.readFileSync(input));
+            let fit = null;
+            const gif = GifSpoofer.encodeImage(image, { ...options, onFit: f => { fit = f; } });
+            const output = outputPath(input, args);
+            fs.writeFileSync(output, gif);
+
+            const notes = [`${image.width}×${image.height}`, formatBytes(gif.length)];
+            if (fit) notes.push(fit.fitted ? `fitted at ${fit.width}×${fit.height}, ${fit.colors} colours` : 'could not fit');
+            if (args.verify) notes.push(`verified (${verify(gif, image, fit).frames[0].colorTable.length}-colour table)`);
+            log(`${input} → ${output}  ${notes.join(' · ')}`);
+        } catch (err) {
+            failed++;
+            console.error(`${input}: ${err.message}`);
+        }
+    }
+
+    return failed ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; }, err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
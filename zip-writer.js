@@ -0,0 +1,113 @@
+/**
+ * ZIP Writer — bundles files into a .zip archive in the browser
+ *
+ * Entries are stored uncompressed (method 0): GIFs are already LZW
+ * compressed, so deflating them again would cost time for almost no gain.
+ * Layout:  { Local File Header → data }*  →  Central Directory  →  End Record
+ */
+
+const ZipWriter = (() => {
+    /* ── CRC-32 (IEEE 802.3, as used by ZIP and PNG) ── */
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // MS-DOS date/time fields (2-second resolution, years from 1980)
+    function dosDateTime(date) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return { time, day };
+    }
+
+    /**
+     * Build a ZIP archive.
+     * entries: [{ name, data: Uint8Array | ArrayBuffer | Blob, date? }]
+     * Returns a Promise<Blob> of type application/zip.
+     */
+    async function create(entries) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const data = entry.data instanceof Blob
+                ? new Uint8Array(await entry.data.arrayBuffer())
+                : new Uint8Array(entry.data);
+            const name = encoder.encode(entry.name);
+            const crc = crc32(data);
+            const { time, day } = dosDateTime(entry.date || new Date());
+
+            // Local file header (30 bytes + name)
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);           // version needed: 2.0
+            local.setUint16(6, 0x0800, true);       // flags: UTF-8 file name
+            local.setUint16(8, 0, true);            // method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // compressed size
+            local.setUint32(22, data.length, true); // uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);           // extra field length
+            parts.push(local, name, data);
+
+            // Central directory header (46 bytes + name)
+            const dir = new DataView(new ArrayBuffer(46));
+            dir.setUint32(0, 0x02014b50, true);
+            dir.setUint16(4, 20, true);             // version made by
+            dir.setUint16(6, 20, true);             // version needed
+            dir.setUint16(8, 0x0800, true);
+            dir.setUint16(10, 0, true);
+            dir.setUint16(12, time, true);
+            dir.setUint16(14, day, true);
+            dir.setUint32(16, crc, true);
+            dir.setUint32(20, data.length, true);
+            dir.setUint32(24, data.length, true);
+            dir.setUint16(28, name.length, true);
+            // extra, comment, disk number, internal + external attributes stay 0
+            dir.setUint32(42, offset, true);        // local header offset
+            central.push(dir, name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const dirSize = central.reduce((n, part) => n + part.byteLength, 0);
+
+        // End of central directory record (22 bytes)
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);  // entries on this disk
+        end.setUint16(10, entries.length, true); // entries total
+        end.setUint32(12, dirSize, true);
+        end.setUint32(16, offset, true);         // central directory offset
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+
+    // Make names unique inside one archive: "cat.gif", "cat (2).gif", …
+    function uniqueName(name, taken) {
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+        let candidate = name;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${ext}`;
+        taken.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    return { create, crc32, uniqueName };
+})();